@@ -5,61 +5,54 @@
 
 import { user, settings } from './models.js';
 
-// Demo function: Load from API
-function simulateFetch() {
-    const statusEl = document.getElementById("statusMessage");
-
-    // Simulate API response
-    setTimeout(() => {
-        user.name = "Jane Doe";
-        user.email = "jane.doe@example.com";
-        user.role = "editor";
-
-        statusEl.className = "status-message success";
-        statusEl.textContent = "✓ Data loaded from API successfully!";
-
-        setTimeout(() => {
-            statusEl.className = "status-message";
+// Page state for the buttons and the status message (not persisted)
+class Demo extends Model {
+    status = "";
+    statusType = "";
+
+    // Show a status message for a few seconds
+    notify(type, message) {
+        this.status = message;
+        this.statusType = type;
+
+        clearTimeout(this.__statusTimer);
+        this.__statusTimer = setTimeout(() => {
+            this.statusType = "";
         }, 3000);
-    }, 500);
-}
+    }
 
-// Demo function: Save to API
-function simulatePost() {
-    const statusEl = document.getElementById("statusMessage");
+    // Demo function: Load from API
+    load() {
+        // Simulate API response
+        setTimeout(() => {
+            user.name = "Jane Doe";
+            user.email = "jane.doe@example.com";
+            user.role = "editor";
 
-    if (!user.name || !user.email) {
-        statusEl.className = "status-message error";
-        statusEl.textContent = "✗ Please fill in name and email first";
-        return;
+            this.notify("success", "✓ Data loaded from API successfully!");
+        }, 500);
     }
 
-    // Simulate API call
-    setTimeout(() => {
-        statusEl.className = "status-message success";
-        statusEl.textContent = "✓ Data saved to API successfully!";
+    // Demo function: Save to API
+    async save() {
+        // Checks User.rules and shows the errors of every field
+        if (!(await user.validate())) {
+            this.notify("error", "✗ Please fix the highlighted fields first");
+            return;
+        }
 
+        // Simulate API call
         setTimeout(() => {
-            statusEl.className = "status-message";
-        }, 3000);
-    }, 500);
-}
-
-// Reset form to empty state
-function resetForm() {
-    user.name = "";
-    user.email = "";
-    user.role = "viewer";
-    settings.theme = "light";
-    settings.notifications = true;
-}
+            this.notify("success", "✓ Data saved to API successfully!");
+        }, 500);
+    }
 
-// Setup event listeners
-function setupEventListeners() {
-    document.getElementById("loadBtn").addEventListener("click", simulateFetch);
-    document.getElementById("saveBtn").addEventListener("click", simulatePost);
-    document.getElementById("resetBtn").addEventListener("click", resetForm);
+    // Put the form back to the models' class defaults
+    resetForm() {
+        user.reset();
+        settings.reset();
+    }
 }
 
-// Initialize on page load
-window.addEventListener("load", setupEventListeners);
+// The buttons call these methods through data-on="click:demo.load" etc.
+export const demo = new Demo("demo", false);
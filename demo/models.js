@@ -5,7 +5,21 @@
  * Model class is available globally from the library (index.js)
  */
 
+const { required, email, minLength } = Model.validators;
+
 class User extends Model {
+    static schema = {
+        id: { type: "integer", nullable: true },
+        name: "string",
+        email: "string",
+        role: { type: "string", enum: ["viewer", "editor", "admin"] },
+    };
+
+    static rules = {
+        name: [required, minLength(2)],
+        email: [required, email],
+    };
+
     id = null;
     name = "";
     email = "";
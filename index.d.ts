@@ -38,25 +38,284 @@ declare class Model {
      * 
      * // State is automatically persisted to sessionStorage
      * // and restored when the page reloads
+     * 
+     * @param options - Instance options, or false to disable persistence
+     * 
+     * @example
+     * const draft = new Draft("draft", false);                 // not persisted
+     * const prefs = new Preferences("prefs", { storage: "local" });
+     */
+    constructor(instanceName: string, options?: ModelOptions | false);
+
+    /**
+     * Where instances of this class are persisted
+     * 
+     * A name from Model.storageAdapters ("session", "local", "indexedDB", "memory"),
+     * a custom adapter, or false to not persist at all. Setting Model.storage changes
+     * the default for every class that doesn't choose its own. Defaults to "session".
+     * 
+     * @example
+     * class Preferences extends Model {
+     *   static storage = "local";
+     *   theme = "light";
+     * }
+     */
+    static storage: StorageSetting;
+
+    /**
+     * Version stamped on persisted snapshots (default 1)
+     * 
+     * Bump it together with `static migrations` when a field is renamed or retyped.
+     */
+    static version: number;
+
+    /**
+     * Upgrades for older snapshots, keyed by the version they upgrade to
+     * 
+     * Each migration receives the snapshot and returns the upgraded one (or mutates it
+     * in place). If a migration throws, the snapshot is discarded.
+     * 
+     * @example
+     * class User extends Model {
+     *   static version = 2;
+     *   static migrations = {
+     *     2: (old) => ({ ...old, name: old.fullname }),
+     *   };
+     *   name = "";
+     * }
+     */
+    static migrations?: Record<number, (snapshot: Record<string, any>) => Record<string, any> | void>;
+
+    /**
+     * What gets persisted, for how long, and in which format
+     * 
+     * @example
+     * class SearchForm extends Model {
+     *   static persist = { exclude: ["isOpen"], ttl: 30 * 60 * 1000 };
+     *   query = "";
+     *   isOpen = false;
+     * }
+     */
+    static persist?: PersistOptions;
+
+    /**
+     * Share changes with the same-named instance in other tabs
+     * 
+     * true for last-writer-wins, or { conflict } with a merge function that
+     * receives (local, remote) state and returns the state to apply.
+     * 
+     * @example
+     * class Settings extends Model {
+     *   static storage = "local";
+     *   static sync = true;
+     * }
+     */
+    static sync?: boolean | SyncOptions;
+
+    /**
+     * Default snapshot serializer: JSON that keeps Date, Map, Set and BigInt values intact
+     */
+    static serialize(data: Record<string, any>): string;
+
+    /**
+     * Default snapshot deserializer, the counterpart of Model.serialize()
+     */
+    static deserialize(text: string): Record<string, any>;
+
+    /**
+     * Named storage adapters usable as `static storage = "<name>"`
+     */
+    static storageAdapters: Record<string, StorageAdapter>;
+
+    /**
+     * Create an independent in-memory storage adapter
+     */
+    static createMemoryStorage(): StorageAdapter;
+
+    /**
+     * Create an asynchronous storage adapter backed by IndexedDB
+     */
+    static createIndexedDBStorage(options?: { databaseName?: string; storeName?: string }): StorageAdapter;
+
+    /**
+     * True while any request of this model is running (bindable: data-bind="user.$loading")
+     */
+    $loading: boolean;
+
+    /**
+     * Message of the last failed request; null while a request runs and after a success
      */
-    constructor(instanceName: string);
+    $error: string | null;
 
     /**
-     * Optional API endpoint for get() and post() methods
+     * When the last request succeeded
+     */
+    $lastSyncedAt: Date | null;
+
+    /**
+     * Field -> message of its first failing rule (bindable: data-bind="user.$errors.email")
+     */
+    $errors: Record<string, string>;
+
+    /**
+     * True when no field has an error
+     */
+    $valid: boolean;
+
+    /**
+     * Field -> true once changed; cleared after a successful request
+     */
+    $dirty: Record<string, boolean>;
+
+    /**
+     * Field -> true once its data-model input lost focus, or after validate()
+     */
+    $touched: Record<string, boolean>;
+
+    /**
+     * Resolves once the model has been restored from storage
+     * (immediately for synchronous storage such as sessionStorage)
+     */
+    readonly $ready: Promise<void>;
+
+    /**
+     * Methods to treat as cached computed properties
+     * 
+     * `get` accessors are always computed; list methods here to cache them as well.
+     * A computed value is recalculated only when a model property it read has changed.
+     * 
+     * @example
+     * class Cart extends Model {
+     *   static computed = ["total"];
+     *   items = [];
+     *   total() {
+     *     return this.items.reduce((sum, item) => sum + item.price, 0);
+     *   }
+     * }
+     */
+    static computed?: string[];
+
+    /**
+     * Validators per field, checked on every change and before post()/put()/patch()
+     * 
+     * @example
+     * const { required, email, min } = Model.validators;
+     * class Signup extends Model {
+     *   static rules = { email: [required, email], age: min(18) };
+     *   email = "";
+     *   age = null;
+     * }
+     */
+    static rules?: Record<string, Validator | Validator[]>;
+
+    /**
+     * Field types: values from code, inputs, storage and the server are converted to them.
+     * Code assigning a value that doesn't fit throws a SchemaError; from anywhere else
+     * the value is dropped and reported in $errors.
+     * 
+     * @example
+     * class User extends Model {
+     *   static schema = {
+     *     age: { type: "integer", nullable: true },
+     *     role: { type: "string", enum: ["viewer", "admin"] },
+     *     tags: ["string"],
+     *     address: Address,
+     *   };
+     * }
+     */
+    static schema?: Record<string, SchemaField>;
+
+    /**
+     * TypeScript declarations for model classes, generated from their `static schema`
+     * 
+     * @example
+     * fs.writeFileSync("models.d.ts", Model.generateTypes(User, Settings));
+     */
+    static generateTypes(...classes: Array<typeof Model>): string;
+
+    /**
+     * Enable undo()/redo(); edits within `coalesce` ms of each other are one step
+     * 
+     * @example
+     * class Note extends Model {
+     *   static history = { limit: 50 };
+     *   text = "";
+     * }
+     */
+    static history?: boolean | HistoryOptions;
+
+    /**
+     * Built-in and registered validators for `static rules`
+     */
+    static validators: Validators;
+
+    /**
+     * Optional API endpoint for the REST methods
+     * 
+     * `:field` placeholders are filled from the model. For post() (and a collection's get())
+     * a placeholder whose field is null or undefined is dropped together with its leading "/";
+     * the other methods throw an error whose `field` names the missing field.
      * 
      * @example
      * class User extends Model {
-     *   endpoint = "/api/user";
+     *   endpoint = "/api/users/:id";
      * }
      */
     endpoint?: string;
 
+    /**
+     * Default request options for this class (Model.http applies to all models)
+     * 
+     * @example
+     * class User extends Model {
+     *   static http = { headers: { "X-Client": "admin" }, token: () => auth.token };
+     * }
+     */
+    static http: RequestOptions;
+
+    /**
+     * How much the library prints: "silent" (default), "error", "warn", "info" or "debug"
+     */
+    static logLevel: "silent" | "error" | "warn" | "info" | "debug";
+
+    /**
+     * What creating a model under an already registered name does: "warn" (default;
+     * the new model replaces the old one), "error" (throws) or "ignore"
+     */
+    static duplicateNames: "warn" | "error" | "ignore";
+
+    /**
+     * Binding directives besides data-bind, data-model and data-each
+     * (attr, class, style, show, if, disabled, html)
+     */
+    static directives: Record<string, Directive>;
+
+    /**
+     * Sanitizer used by data-html; replace it for stricter rules
+     * 
+     * @example
+     * Model.sanitizeHTML = (html) => DOMPurify.sanitize(html);
+     */
+    static sanitizeHTML(html: any): string;
+
+    /**
+     * Named parsers/formatters for data-model and data-bind pipes
+     * (trim, number, currency, percent and date built in)
+     * 
+     * @example
+     * Model.formatters.upper = { parse: (text) => text.toUpperCase() };
+     * // <input data-model="coupon.code|upper">
+     */
+    static formatters: Record<string, Formatter>;
+
     /**
      * Fetch model data from the API endpoint and populate the model
      * 
      * Makes a GET request to the endpoint property and updates the model
      * with the response data. Methods and private properties are ignored.
      * 
+     * A get() that is still running when get() is called again is aborted.
+     * 
      * @returns Promise that resolves when the request completes
      * @throws Error if the request fails or no endpoint is defined
      * 
@@ -64,7 +323,7 @@ declare class Model {
      * const user = new User("user");
      * await user.get(); // GET /api/user and populate model
      */
-    get(): Promise<void>;
+    get(options?: RequestOptions): Promise<void>;
 
     /**
      * Send the current model state to the API endpoint
@@ -81,17 +340,308 @@ declare class Model {
      * user.name = "Alice";
      * await user.post(); // POST /api/user with updated data
      */
-    post(): Promise<void>;
+    post(options?: RequestOptions): Promise<void>;
+
+    /**
+     * Replace the resource with the current model state (PUT)
+     * 
+     * @example
+     * user.id = 42;
+     * await user.put(); // PUT /api/users/42 with the full model
+     */
+    put(options?: RequestOptions): Promise<void>;
+
+    /**
+     * Send only the fields changed since the last successful request (PATCH)
+     * 
+     * Sends the full model if it was never synced, and nothing if no field changed.
+     * 
+     * @example
+     * user.role = "admin";
+     * await user.patch(); // PATCH /api/users/42 with { role: "admin" }
+     */
+    patch(options?: RequestOptions): Promise<void>;
+
+    /**
+     * Delete the resource (DELETE)
+     */
+    delete(options?: RequestOptions): Promise<void>;
+
+    /**
+     * Copy the model's public fields (later changes don't affect the copy)
+     */
+    snapshot(): Record<string, any>;
+
+    /**
+     * Put the model back into a state taken with snapshot(), as one change
+     */
+    restore(snapshot: Record<string, any>): void;
+
+    /**
+     * Put every field back to the default its class declares
+     */
+    reset(): void;
+
+    /**
+     * Go back one step of history (needs `static history`)
+     * 
+     * @returns Whether there was a step to undo
+     */
+    undo(): boolean;
+
+    /**
+     * Re-apply the last undone step
+     * 
+     * @returns Whether there was a step to redo
+     */
+    redo(): boolean;
+
+    /**
+     * Whether undo() has a step to go back to (bindable)
+     */
+    readonly canUndo: boolean;
+
+    /**
+     * Whether redo() has a step to re-apply (bindable)
+     */
+    readonly canRedo: boolean;
+
+    /**
+     * Whether any field differs from what the server last saw
+     * (the class defaults before the first request); bindable
+     */
+    readonly isDirty: boolean;
+
+    /**
+     * The fields that differ from what the server last saw
+     * 
+     * @example
+     * user.role = "admin";
+     * user.changes(); // { role: { from: "viewer", to: "admin" } }
+     */
+    changes(): Record<string, { from: any; to: any }>;
+
+    /**
+     * Put the fields back to what the server last saw
+     */
+    revert(): void;
+
+    /**
+     * Accept the current state as saved without sending a request
+     */
+    markClean(): void;
+
+    /**
+     * Unbind the model's elements, drop its subscribers, stop syncing and unregister it
+     * 
+     * Pending changes are persisted first, unless clearStorage deletes the stored snapshot.
+     * 
+     * @example
+     * widget.dispose({ clearStorage: true });
+     */
+    dispose(options?: { clearStorage?: boolean }): void;
+
+    /**
+     * Lifecycle hooks a subclass can define; `this` is the model and errors are logged
+     * 
+     * onCreate runs once the class fields are defined, onRestore once a stored snapshot
+     * has been applied, onChange after every change of a field, onDispose from dispose().
+     */
+    onCreate?(): void;
+    onRestore?(snapshot: Record<string, any>): void;
+    onChange?(path: string, value: any, oldValue: any): void;
+    onDispose?(): void;
+
+    /**
+     * Check the rules of every field (or of one) and mark them touched
+     * 
+     * @returns Whether the model (or the field) is valid
+     */
+    validate(field?: string): Promise<boolean>;
+
+    /**
+     * Subscribe to changes of a property
+     * 
+     * Handlers registered for a top-level property also fire for changes nested
+     * below it; the third argument is the full dotted path that changed.
+     * 
+     * @param property - Top-level property name, or "*" for every change
+     * @param handler - Called with (newValue, oldValue, property)
+     * @returns Function that removes the handler again
+     * 
+     * @example
+     * const stop = user.on("name", (value, oldValue) => {
+     *   analytics.track("rename", { from: oldValue, to: value });
+     * });
+     * stop(); // unsubscribe
+     */
+    on(property: string, handler: ChangeHandler): () => void;
+
+    /**
+     * Remove a handler added with on()
+     * 
+     * @param property - The property the handler was registered for
+     * @param handler - The handler to remove; omit to remove all handlers of the property
+     */
+    off(property: string, handler?: ChangeHandler): void;
+
+    /**
+     * Watch a (possibly nested) property path
+     * 
+     * The callback runs when the path itself, one of its parents or anything below it changes.
+     * 
+     * @param path - Dotted property path, e.g. "address.city"
+     * @param callback - Called with (newValue, oldValue, changedPath)
+     * @param options - Pass { immediate: true } to also run the callback right away
+     * @returns Function that stops watching
+     * 
+     * @example
+     * user.watch("address.city", (city) => chart.redraw(city), { immediate: true });
+     */
+    watch(path: string, callback: ChangeHandler, options?: WatchOptions): () => void;
+
+    /**
+     * Group several changes so they are persisted and rendered together,
+     * synchronously, when the callback returns
+     * 
+     * Changes are batched per microtask anyway; use batch() when the DOM and
+     * storage must be up to date right after the changes.
+     * 
+     * @param callback - Makes the changes
+     * @returns Whatever the callback returns
+     * 
+     * @example
+     * user.batch(() => {
+     *   user.name = "";
+     *   user.email = "";
+     * });
+     */
+    batch<T>(callback: () => T): T;
+
+    /**
+     * Persist and render all pending changes of every model right away
+     * instead of waiting for the scheduled microtask
+     */
+    static flush(): void;
+
+    /**
+     * Bind everything under a root and keep watching it for added and removed
+     * elements. The document is mounted automatically; mount shadow roots yourself
+     * 
+     * @param root - Document, element or shadow root (defaults to document)
+     * @returns Function that unmounts the root again
+     * 
+     * @example
+     * const unmount = Model.mount(this.shadowRoot);
+     */
+    static mount(root?: Document | Element | ShadowRoot): () => void;
+
+    /**
+     * Stop watching a mounted root and detach the bindings under it
+     * 
+     * @param root - A root passed to Model.mount() (defaults to document)
+     */
+    static unmount(root?: Document | Element | ShadowRoot): void;
+
+    /**
+     * Install a plugin: on Model for every model, on a subclass for that class and its subclasses
+     * 
+     * The plugin's directives, formatters and validators are added for every model.
+     * 
+     * @returns The class, so calls can be chained
+     * 
+     * @example
+     * Model.use({
+     *   name: "auth",
+     *   beforeRequest({ init }) { init.headers["X-Token"] = session.token; },
+     * });
+     */
+    static use<C extends typeof Model>(this: C, plugin: Plugin | ((modelClass: C) => Plugin)): C;
+
+    /**
+     * Describe registered models (or one) for debugging
+     * 
+     * @example
+     * console.table(Model.inspect());
+     */
+    static inspect(name?: string): ModelInspection[];
+
+    /**
+     * Start recording every change of every model (recording again starts over)
+     * 
+     * @returns Function that stops recording; the entries are kept
+     */
+    static recordTimeline(options?: { limit?: number }): () => void;
+
+    /**
+     * The changes recorded since Model.recordTimeline()
+     */
+    static timeline(): TimelineEntry[];
+
+    /**
+     * The recorded changes as text, for Model.replayTimeline()
+     */
+    static exportTimeline(): string;
+
+    /**
+     * Apply recorded changes again to the models registered under the same names
+     * 
+     * @returns How many changes were applied
+     */
+    static replayTimeline(entries: string | TimelineEntry[]): number;
+
+    /**
+     * Dispose a registered model by name ("<scope>/<name>" for scoped models)
+     * 
+     * @returns Whether there was such a model
+     */
+    static unregister(name: string, options?: { clearStorage?: boolean }): boolean;
+
+    /**
+     * Dispose every model created with { scope }
+     * 
+     * @returns How many models were disposed
+     */
+    static unregisterScope(scope: string, options?: { clearStorage?: boolean }): number;
+
+    /**
+     * Render the bindings of an HTML string with the current model state (e.g. on the server)
+     * 
+     * @param html - Markup with binding attributes
+     * @param options.document - DOM implementation to render with (defaults to the global document)
+     * @returns The rendered markup, binding attributes included
+     * 
+     * @example
+     * const { document } = parseHTML("<html></html>"); // linkedom
+     * const body = Model.renderToString(template, { document });
+     */
+    static renderToString(html: string, options?: { document?: Document }): string;
+
+    /**
+     * Serialize registered models' state for Model.hydrate() (safe inside a <script> element)
+     * 
+     * @param names - Models to include (defaults to all)
+     */
+    static serializeState(names?: string[]): string;
+
+    /**
+     * Apply state serialized on the server: existing models are updated, models created
+     * later start from it, and the first get() of a hydrated model sends no request
+     * 
+     * @param state - Output of Model.serializeState() or the parsed object; read from
+     * <script id="model-state"> when omitted
+     */
+    static hydrate(state?: string | Record<string, Record<string, any>>): void;
 
     /**
      * Private internal method - do not use directly
-     * Restores model state from sessionStorage
+     * Restores model state from storage
      */
-    private __restore(): void;
+    private __restore(): Promise<void>;
 
     /**
      * Private internal method - do not use directly
-     * Persists model state to sessionStorage
+     * Persists model state to storage
      */
     private __persist(): void;
 
@@ -103,9 +653,298 @@ declare class Model {
 
     /**
      * Private internal method - do not use directly
-     * Updates all DOM elements bound to this model
+     * Updates the DOM elements bound to this model (all of them, or those bound to the changed paths)
+     */
+    private __updateDOM(changedPaths?: string[]): void;
+}
+
+/**
+ * A list of records, each one a Model of its own
+ * 
+ * Items are persisted individually; the collection stores which items it holds.
+ * Items without an endpoint of their own use "<collection endpoint>/:id".
+ * 
+ * @example
+ * class TodoList extends Collection<Todo> {
+ *   static model = Todo;
+ *   endpoint = "/api/todos";
+ * }
+ * 
+ * const todos = new TodoList("todos");
+ * await todos.fetch();              // GET /api/todos
+ * await todos.create({ title: "" }); // POST /api/todos
+ * await todos.find(1).patch();      // PATCH /api/todos/1
+ */
+declare class Collection<T extends Model = Model> extends Model {
+    /**
+     * The Model class items are created from (defaults to Model)
+     */
+    static model: new (instanceName: string, options?: ModelOptions | false) => Model;
+
+    /**
+     * The items, in order
+     */
+    items: T[];
+
+    /**
+     * Load the list from the endpoint
+     * 
+     * Expects an array. Existing items are updated by id, new records are added
+     * and items missing from the response are removed.
+     */
+    fetch(options?: RequestOptions): Promise<void>;
+
+    /**
+     * Add an item (or create one from the given fields)
      */
-    private __updateDOM(): void;
+    add(item?: T | Record<string, any>): T;
+
+    /**
+     * Add an item and POST it; the item is removed again if the request fails
+     */
+    create(item?: T | Record<string, any>, options?: RequestOptions): Promise<T>;
+
+    /**
+     * Remove an item and delete its stored snapshot
+     */
+    remove(target: T | CollectionQuery<T> | string | number): T | undefined;
+
+    /**
+     * DELETE an item on the server, then remove it
+     */
+    destroy(target: T | CollectionQuery<T> | string | number, options?: RequestOptions): Promise<T | undefined>;
+
+    /**
+     * Find the first item matching a predicate, an object of field values, or an id
+     */
+    find(query: CollectionQuery<T> | string | number): T | undefined;
+
+    /**
+     * All items matching a predicate or an object of field values
+     */
+    filter(query: CollectionQuery<T>): T[];
+
+    /**
+     * Reorder the items by a comparison function or a field name
+     */
+    sort(compare: ((a: T, b: T) => number) | string): T[];
+}
+
+/**
+ * Query accepted by Collection.find() and Collection.filter()
+ */
+type CollectionQuery<T> = ((item: T) => boolean) | Partial<Record<string, any>>;
+
+/**
+ * Storage backend for model snapshots
+ * 
+ * Methods may be synchronous or return promises. Values are strings.
+ */
+interface StorageAdapter {
+    getItem(key: string): string | null | Promise<string | null>;
+    setItem(key: string, value: string): void | Promise<void>;
+    removeItem(key: string): void | Promise<void>;
+}
+
+/**
+ * A storage adapter, the name of a registered one, or false to disable persistence
+ */
+type StorageSetting = StorageAdapter | "session" | "local" | "indexedDB" | "memory" | (string & {}) | false | null;
+
+/**
+ * Persistence settings for a model class (`static persist`)
+ */
+interface PersistOptions {
+    /** Only persist these properties */
+    include?: string[];
+    /** Never persist these properties */
+    exclude?: string[];
+    /** Milliseconds after which a stored snapshot is discarded instead of restored */
+    ttl?: number;
+    /** Turns a snapshot into the stored string (defaults to Model.serialize) */
+    serialize?: (data: Record<string, any>) => string | Promise<string>;
+    /** Turns the stored string back into a snapshot (defaults to Model.deserialize) */
+    deserialize?: (text: string) => Record<string, any> | Promise<Record<string, any>>;
+}
+
+/**
+ * Cross-tab synchronization settings for a model class (`static sync`)
+ */
+interface SyncOptions {
+    /** How to combine a snapshot from another tab with local state (default "last-writer-wins") */
+    conflict?: "last-writer-wins" | ((local: Record<string, any>, remote: Record<string, any>) => Record<string, any>);
+}
+
+/**
+ * Options for the REST methods, `static http` and Model.http
+ * 
+ * Any other property is passed to fetch() as-is.
+ */
+interface RequestOptions extends Omit<RequestInit, "headers" | "body" | "method"> {
+    /** Query parameters; null and undefined values are skipped */
+    params?: Record<string, string | number | boolean | null | undefined>;
+    /** Extra request headers (merged with the class and global ones) */
+    headers?: Record<string, string>;
+    /** Bearer token sent as the Authorization header, or a function returning one */
+    token?: string | (() => string | null | undefined | Promise<string | null | undefined>);
+    /** Milliseconds before an attempt is aborted */
+    timeout?: number;
+    /** Extra attempts after network errors, timeouts and 5xx responses (default 0) */
+    retries?: number;
+    /** Milliseconds before the first retry, doubled for each one after (default 300) */
+    retryDelay?: number;
+    /** post(), put() and patch() only: set to false to send without checking the rules */
+    validate?: boolean;
+}
+
+/**
+ * Checks a field value: returns true (or nothing) when valid, otherwise an error
+ * message (or false). May return a promise.
+ */
+type Validator = (value: any, model: Model, field: string) =>
+    boolean | string | null | undefined | Promise<boolean | string | null | undefined>;
+
+/**
+ * A schema type: a built-in type name, or a Model class for an object with that class's schema
+ */
+type SchemaType = "string" | "number" | "integer" | "boolean" | "date" | "array" | "object" | "any" | typeof Model;
+
+/**
+ * A field of `static schema`: its type, ["type"] for a list of it, or the type with options
+ */
+type SchemaField = SchemaType | [SchemaField] | {
+    type?: SchemaType | [SchemaField];
+    /** Accept null (otherwise null and undefined are rejected) */
+    nullable?: boolean;
+    /** Used for undefined; the field is created with it if the class doesn't declare one */
+    default?: any;
+    /** The only values allowed */
+    enum?: any[];
+    /** List items' type, with type "array" */
+    items?: SchemaField;
+};
+
+/**
+ * What Model.inspect() reports about a model
+ */
+interface ModelInspection {
+    name: string;
+    className: string;
+    scope: string | null;
+    /** Copy of the public fields */
+    state: Record<string, any>;
+    status: {
+        $loading: boolean;
+        $error: string | null;
+        $lastSyncedAt: Date | null;
+        $valid: boolean;
+        $errors: Record<string, string>;
+        $dirty: Record<string, boolean>;
+        $touched: Record<string, boolean>;
+    };
+    /** Bound elements per property path */
+    bindings: Record<string, number>;
+    /** Handlers added with on() and watch() */
+    subscribers: number;
+    /** null for models without storage */
+    storageKey: string | null;
+}
+
+/**
+ * A change recorded by Model.recordTimeline()
+ */
+interface TimelineEntry {
+    /** Milliseconds since the epoch */
+    at: number;
+    model: string;
+    path: string;
+    oldValue: any;
+    value: any;
+    source: "code" | "input" | "storage" | "another tab" | "hydration" | "http" | "history" | "replay";
+}
+
+/**
+ * A change passed to beforeSet and afterSet; beforeSet may replace value
+ */
+interface SetContext {
+    model: Model;
+    /** Dotted path of the property, e.g. "address.city" */
+    path: string;
+    value: any;
+    oldValue: any;
+}
+
+/**
+ * A plugin for Model.use(); every hook is optional
+ */
+interface Plugin {
+    name?: string;
+    /** Change context.value, or return false to veto the assignment */
+    beforeSet?(context: SetContext): boolean | void;
+    /** Called after every change of a field (errors are logged) */
+    afterSet?(context: SetContext): void;
+    /** Change context.data (the snapshot), or return false to skip writing it */
+    beforePersist?(context: { model: Model; key: string; data: Record<string, any> }): boolean | void;
+    /** Change context.url or context.init; throw to cancel the request */
+    beforeRequest?(context: { model: Model; method: string; url: string; init: RequestInit & { headers: Record<string, string> } }): void | Promise<void>;
+    /** Change context.data (the parsed body) before it is applied to the model */
+    afterResponse?(context: { model: Model; method: string; url: string; data: any }): void | Promise<void>;
+    /** Added to Model.directives */
+    directives?: Record<string, Directive>;
+    /** Added to Model.formatters */
+    formatters?: Record<string, Formatter>;
+    /** Added to Model.validators */
+    validators?: Record<string, Validator | ((...args: any[]) => Validator)>;
+}
+
+/**
+ * The validators available as Model.validators
+ */
+interface Validators {
+    required: Validator;
+    email: Validator;
+    min(limit: number, message?: string): Validator;
+    max(limit: number, message?: string): Validator;
+    minLength(length: number, message?: string): Validator;
+    maxLength(length: number, message?: string): Validator;
+    pattern(regex: RegExp, message?: string): Validator;
+    [name: string]: Validator | ((...args: any[]) => Validator);
+}
+
+/**
+ * Options for `static history`
+ */
+interface HistoryOptions {
+    /** Steps kept (default 100) */
+    limit?: number;
+    /** Milliseconds within which edits join the previous step (default 500) */
+    coalesce?: number;
+}
+
+/**
+ * Options for the Model constructor
+ */
+interface ModelOptions {
+    /** Overrides the class's static storage for this instance */
+    storage?: StorageSetting;
+    /**
+     * Registers the model as "<scope>/<name>"; markup inside data-scope="<scope>"
+     * binds to it by its plain name
+     */
+    scope?: string;
+}
+
+/**
+ * Callback used by Model.on() and Model.watch()
+ */
+type ChangeHandler = (newValue: any, oldValue: any, property: string) => void;
+
+/**
+ * Options for Model.watch()
+ */
+interface WatchOptions {
+    /** Call the callback immediately with the current value */
+    immediate?: boolean;
 }
 
 /**
@@ -144,9 +983,108 @@ interface ModelBindings {
      * - <select> elements
      * - <textarea> elements
      * 
-     * Updates both the DOM and the model automatically.
+     * Updates both the DOM and the model automatically. Nested paths
+     * ("user.address.city") are written in place, and values keep their type:
+     * numbers from number/range inputs, Dates from date inputs, arrays from
+     * multi-selects and checkbox groups, FileList from file inputs.
+     * 
+     * Modifiers and formatters follow the path: "search.query|debounce:300|trim",
+     * "invoice.total|currency:EUR", "user.name|lazy" (see Model.formatters).
      */
     "data-model": `${string}.${string}`;
+
+    /**
+     * Only write a data-model field to the model on change (when the user leaves it)
+     */
+    "data-model-lazy": "" | boolean;
+
+    /**
+     * List rendering: Clones the element's <template> once per array item
+     * 
+     * Inside the template, bind to the item by its alias ("item" by default)
+     * and to its position with $index:
+     * 
+     * <ul data-each="todo in todos.items" data-key="id">
+     *   <template><li data-bind="todo.title"></li></template>
+     * </ul>
+     */
+    "data-each": string;
+
+    /**
+     * Item field that identifies a data-each row across re-renders (defaults to the item itself)
+     */
+    "data-key": string;
+
+    /**
+     * Attributes from model values: "href:link.url, title:link.title"
+     */
+    "data-bind-attr": string;
+
+    /**
+     * Classes from model values: "active:tab.isOpen" toggles a class,
+     * a bare binding ("settings.theme") uses the value as the class
+     */
+    "data-bind-class": string;
+
+    /**
+     * Inline styles from model values: "backgroundColor:settings.color"
+     */
+    "data-bind-style": string;
+
+    /**
+     * Sets display: none while the value is falsy
+     */
+    "data-show": `${string}.${string}`;
+
+    /**
+     * Removes the element from the page while the value is falsy
+     */
+    "data-if": `${string}.${string}`;
+
+    /**
+     * Sets the disabled attribute while the value is truthy
+     */
+    "data-disabled": `${string}.${string}`;
+
+    /**
+     * Sets innerHTML to the value, sanitized with Model.sanitizeHTML()
+     */
+    "data-html": `${string}.${string}`;
+
+    /**
+     * Event handlers that call model methods with the event:
+     * "click:user.save", "submit.prevent:form.submit", "input.debounce.300:search.run"
+     * 
+     * Modifiers: prevent, stop, self, once, debounce[.ms]. Errors thrown or rejected
+     * by the method are dispatched as a bubbling "model:error" event ({ error, handler, event }).
+     */
+    "data-on": string;
+
+    /**
+     * Bindings inside this element use the models created with { scope } of this name
+     * (falling back to unscoped models of the same name)
+     */
+    "data-scope": string;
+}
+
+/**
+ * A parser/formatter for data-model and data-bind pipes (see Model.formatters)
+ */
+interface Formatter {
+    /** Turn field input into a model value; arg is the part after ":" in "currency:EUR" */
+    parse?(value: any, arg: string | null): any;
+    /** Turn a model value into display text */
+    format?(value: any, arg: string | null): any;
+}
+
+/**
+ * A binding directive (see Model.directives)
+ */
+interface Directive {
+    /** The attribute the directive reads, e.g. "data-bind-attr" */
+    attribute: string;
+    /** Render a bound value; argument is the part before ":" in "argument:model.path" */
+    update(element: Element, value: any, argument: string | null): void;
 }
 
 /**
@@ -186,8 +1124,13 @@ declare global {
     /**
      * The Model class is available globally
      */
-    var Model: typeof Model;
+    var Model: typeof import("./index").Model;
+
+    /**
+     * The Collection class is available globally
+     */
+    var Collection: typeof import("./index").Collection;
 }
 
-export { Model };
-export type { ModelBindings };
+export { Model, Collection };
+export type { ModelBindings, Directive, Formatter, Validator, Validators, HistoryOptions, SchemaType, SchemaField, Plugin, SetContext, ModelInspection, TimelineEntry, CollectionQuery, ChangeHandler, WatchOptions, StorageAdapter, StorageSetting, ModelOptions, PersistOptions, SyncOptions, RequestOptions };
@@ -6,384 +6,5068 @@
 // Global registry of model instances
 const modelRegistry = new Map();
 
+// Reactive proxies mapped back to the raw objects they wrap
+const reactiveTargets = new WeakMap();
+
+// Model classes -> their computed property definitions
+const computedDefinitions = new WeakMap();
+
+// Model classes -> their `static rules`, as field -> list of validators
+const ruleDefinitions = new WeakMap();
+
+// Model classes -> their `static schema`, as field -> normalized field definition
+const schemaDefinitions = new WeakMap();
+
+// Model classes -> the plugins installed on them with use() (on Model: for every model)
+const classPlugins = new WeakMap();
+
+// Changes recorded by Model.recordTimeline(), and where the changes being made right now
+// come from ("code" unless an input, storage, a response, undo/redo or a replay is applying them)
+const timeline = { entries: [], limit: 0, recording: false };
+let changeSource = "code";
+let forwardingChanges = 0;
+
+// Model.logLevel values, quietest first
+const LOG_LEVELS = ["silent", "error", "warn", "info", "debug"];
+
+// The computed property currently being evaluated (records what it reads, per model)
+let dependencyTracker = null;
+
+// Model -> the models with computed properties that read it
+const computedDependents = new WeakMap();
+
+// Models with changes waiting to be persisted and rendered
+const pendingModels = new Set();
+let flushScheduled = false;
+let batchDepth = 0;
+
+// Model name -> property path -> elements bound to it
+const bindingIndex = new Map();
+
+// Models with `static sync`, by instance name, and the channel shared between tabs
+const syncedModels = new Map();
+let syncChannel = null;
+let syncStarted = false;
+
+// data-each containers -> their template, rows and keys
+const listStates = new WeakMap();
+
+// Elements rendered by a data-each row -> the row's scope { state, row, parent }
+const elementScopes = new WeakMap();
+
+// data-if elements that are currently removed -> the comment standing in for them
+const ifAnchors = new WeakMap();
+
+// data-bind-class elements -> the classes added for a class-valued binding
+const boundClasses = new WeakMap();
+
+// Elements whose data-on listeners are attached
+const boundHandlers = new WeakSet();
+
+// Elements -> functions that remove the listeners attached to them
+const elementCleanups = new WeakMap();
+
+// Elements that have been indexed, wired up and rendered
+const mountedElements = new WeakSet();
+
+// Roots passed to Model.mount() -> the MutationObserver watching them
+const mountedRoots = new Map();
+
+// How many registered models were created with { scope } (none: names need no resolving)
+let scopedModels = 0;
+
+// Model name -> server-rendered state waiting for the model to be created (Model.hydrate())
+const pendingHydration = new Map();
+
+// The document Model.renderToString() renders into, while it runs
+let renderDocument = null;
+
+// Collection items -> the function that stops forwarding their changes to the collection
+const itemSubscriptions = new WeakMap();
+let itemCounter = 0;
+
+/**
+ * Check whether a value is a promise (or promise-like)
+ * @private
+ */
+function isThenable(value) {
+    return value != null && typeof value.then === "function";
+}
+
+/**
+ * Print a message if Model.logLevel lets it through
+ * @param {string} level - "error", "warn", "info" or "debug"
+ * @private
+ */
+function log(level, ...args) {
+    if (LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(Model.logLevel)) {
+        console[level](...args);
+    }
+}
+
+/**
+ * Make changes on behalf of a source, so the timeline can tell where they came from
+ * @private
+ */
+function withSource(source, callback) {
+    const previous = changeSource;
+    changeSource = source;
+    try {
+        return callback();
+    } finally {
+        changeSource = previous;
+    }
+}
+
+/**
+ * Add a change to the timeline (dropping the oldest entry beyond its limit)
+ * @private
+ */
+function recordChange(model, path, value, oldValue) {
+    timeline.entries.push({
+        at: Date.now(),
+        model: model.__instanceName,
+        path: path.join("."),
+        oldValue: cloneState(oldValue),
+        value: cloneState(value),
+        source: changeSource,
+    });
+    if (timeline.entries.length > timeline.limit) {
+        timeline.entries.shift();
+    }
+}
+
+/**
+ * Whether a value counts as not filled in (for the required validator)
+ * @private
+ */
+function isEmpty(value) {
+    return (
+        value === null ||
+        value === undefined ||
+        (typeof value === "string" && value.trim() === "") ||
+        (Array.isArray(value) && value.length === 0)
+    );
+}
+
+/**
+ * Turn a validator's result into an error message, or null when the value is valid
+ * @private
+ */
+function validationMessage(result) {
+    if (result === true || result === undefined || result === null) return null;
+    if (result === false) return "Invalid value";
+    return String(result);
+}
+
+// Schema types and how their errors describe them
+const SCHEMA_TYPES = {
+    string: "text",
+    number: "a number",
+    integer: "a whole number",
+    boolean: "true or false",
+    date: "a date",
+    array: "a list",
+    object: "an object",
+    any: "anything",
+};
+
+/**
+ * The normalized `static schema` of a model class, as field -> { type, nullable, default, enum, items }
+ * @private
+ */
+function schemaOf(ModelClass) {
+    if (schemaDefinitions.has(ModelClass)) return schemaDefinitions.get(ModelClass);
+
+    const schema = new Map();
+    for (const [field, definition] of Object.entries(ModelClass.schema || {})) {
+        schema.set(field, fieldDefinition(definition, `${ModelClass.name}.schema.${field}`));
+    }
+    schemaDefinitions.set(ModelClass, schema);
+    return schema;
+}
+
+/**
+ * Normalize a schema field: "number", ["string"] (a list of), a Model class
+ * (an object with that class's schema) or { type, nullable, default, enum, items }
+ * @private
+ */
+function fieldDefinition(definition, name) {
+    const field = definition !== null && typeof definition === "object" && !Array.isArray(definition)
+        ? { ...definition }
+        : { type: definition };
+
+    if (Array.isArray(field.type)) {
+        field.items = field.type[0];
+        field.type = "array";
+    }
+    if (field.type === undefined) {
+        field.type = "any";
+    }
+    if (typeof field.type !== "function" && !(field.type in SCHEMA_TYPES)) {
+        log("warn", `[Model] ${name} has an unknown type "${field.type}"`);
+        field.type = "any";
+    }
+    if (field.items !== undefined) {
+        field.items = fieldDefinition(field.items, `${name}[]`);
+    }
+    return field;
+}
+
+/**
+ * The schema field a path lands on (through list items and nested model types), if declared
+ * @private
+ */
+function schemaField(schema, parts) {
+    let fields = schema;
+    let field = null;
+    for (const part of parts) {
+        if (field && field.type === "array") {
+            field = /^\d+$/.test(part) ? field.items || null : null;
+        } else {
+            field = fields ? fields.get(part) || null : null;
+        }
+        if (!field) return null;
+
+        fields = typeof field.type === "function" ? schemaOf(field.type) : null;
+    }
+    return field;
+}
+
+/**
+ * Convert a value to a schema field's type: strings that read as numbers, booleans or dates
+ * are converted, undefined takes the field's default. Values that don't fit throw a SchemaError.
+ * Lists and objects are only copied if one of their entries had to be converted.
+ * @private
+ */
+function coerceValue(value, field, path) {
+    if (value === undefined && "default" in field) {
+        return cloneState(field.default);
+    }
+    if (value === null || value === undefined) {
+        if (field.type === "any") return value;
+        if (field.nullable) return null;
+        throw schemaError(path, value, "This field is required");
+    }
+
+    let result;
+    const { type } = field;
+    if (type === "string") {
+        if (typeof value === "string") result = value;
+        else if (["number", "boolean", "bigint"].includes(typeof value)) result = String(value);
+        else if (value instanceof Date) result = value.toISOString();
+    } else if (type === "number" || type === "integer") {
+        if (typeof value === "number") result = value;
+        else if (typeof value === "string" && value.trim() !== "") result = Number(value);
+        if (Number.isNaN(result) || (type === "integer" && result !== undefined && !Number.isInteger(result))) {
+            result = undefined;
+        }
+    } else if (type === "boolean") {
+        if (typeof value === "boolean") result = value;
+        else if (value === "true" || value === 1 || value === "1") result = true;
+        else if (value === "false" || value === 0 || value === "0") result = false;
+    } else if (type === "date") {
+        const date = value instanceof Date ? value
+            : typeof value === "string" || typeof value === "number" ? new Date(value)
+                : null;
+        if (date && !Number.isNaN(date.getTime())) result = date;
+    } else if (type === "array") {
+        if (Array.isArray(value)) {
+            const items = field.items
+                ? value.map((item, index) => coerceValue(item, field.items, `${path}.${index}`))
+                : value;
+            result = items.every((item, index) => item === value[index]) ? value : items;
+        }
+    } else if (type === "object" || typeof type === "function") {
+        if (typeof value === "object" && !Array.isArray(value)) {
+            result = typeof type === "function" ? coerceFields(value, schemaOf(type), path) : value;
+        }
+    } else {
+        result = value;
+    }
+
+    if (result === undefined) {
+        const expected = typeof type === "function" ? `a ${type.name}` : SCHEMA_TYPES[type];
+        throw schemaError(path, value, `Must be ${expected}`);
+    }
+    if (field.enum && !field.enum.includes(result)) {
+        throw schemaError(path, value, `Must be one of ${field.enum.join(", ")}`);
+    }
+    return result;
+}
+
+/**
+ * Coerce the declared fields of a nested object (missing ones get their default, if any)
+ * @private
+ */
+function coerceFields(value, schema, path) {
+    const copy = { ...value };
+    let changed = false;
+    for (const [key, field] of schema) {
+        if (!(key in value) && !("default" in field)) continue;
+
+        copy[key] = coerceValue(value[key], field, `${path}.${key}`);
+        changed = changed || copy[key] !== value[key] || !(key in value);
+    }
+    return changed ? copy : value;
+}
+
+/**
+ * The error thrown for a value that doesn't fit the schema
+ * @private
+ */
+function schemaError(path, value, message) {
+    const error = new Error(message);
+    error.name = "SchemaError";
+    error.path = path;
+    error.value = value;
+    return error;
+}
+
+/**
+ * The TypeScript type of a schema field (nested model types are named "<Class>Fields")
+ * @private
+ */
+function typeScriptType(field, nested) {
+    let type;
+    if (field.enum) {
+        type = field.enum.map((value) => JSON.stringify(value)).join(" | ");
+    } else if (typeof field.type === "function") {
+        nested.push(field.type);
+        type = `${field.type.name}Fields`;
+    } else if (field.type === "array") {
+        const items = field.items ? typeScriptType(field.items, nested) : "any";
+        type = /[| ]/.test(items) ? `Array<${items}>` : `${items}[]`;
+    } else {
+        type = {
+            string: "string",
+            number: "number",
+            integer: "number",
+            boolean: "boolean",
+            date: "Date",
+            object: "Record<string, any>",
+            any: "any",
+        }[field.type];
+    }
+    return field.nullable && type !== "any" ? `${type} | null` : type;
+}
+
+/**
+ * An AbortController, or a stand-in with the same surface where there is none (Node < 15)
+ * The stand-in can't cancel fetch() itself, so __fetch() stops waiting for it instead
+ * @private
+ */
+function createAbortController() {
+    if (typeof AbortController !== "undefined") {
+        return new AbortController();
+    }
+
+    const listeners = new Set();
+    const signal = {
+        aborted: false,
+        reason: undefined,
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+    };
+    return {
+        signal,
+        abort(reason) {
+            if (signal.aborted) return;
+            if (reason === undefined) {
+                reason = new Error("This operation was aborted");
+                reason.name = "AbortError";
+            }
+            signal.aborted = true;
+            signal.reason = reason;
+            listeners.forEach((listener) => listener());
+            listeners.clear();
+        },
+    };
+}
+
+/**
+ * Resolve after a delay, or reject early if the signal aborts
+ * @private
+ */
+function wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const timer = setTimeout(resolve, delay);
+        if (signal) {
+            signal.addEventListener("abort", () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * JSON replacer that tags values JSON can't represent, so they survive a round-trip
+ * @private
+ */
+function stateReplacer(key, value) {
+    const raw = this[key];
+
+    if (raw instanceof Date) {
+        return { $type: "Date", value: isNaN(raw) ? null : raw.toISOString() };
+    }
+    if (raw instanceof Map) {
+        return { $type: "Map", value: [...raw] };
+    }
+    if (raw instanceof Set) {
+        return { $type: "Set", value: [...raw] };
+    }
+    if (typeof raw === "bigint") {
+        return { $type: "BigInt", value: raw.toString() };
+    }
+
+    return value;
+}
+
+/**
+ * JSON reviver that turns the values tagged by stateReplacer back into their types
+ * @private
+ */
+function stateReviver(key, value) {
+    if (value === null || typeof value !== "object" || typeof value.$type !== "string" || !("value" in value)) {
+        return value;
+    }
+
+    switch (value.$type) {
+        case "Date":
+            return new Date(value.value ?? NaN);
+        case "Map":
+            return new Map(value.value);
+        case "Set":
+            return new Set(value.value);
+        case "BigInt":
+            return BigInt(value.value);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Create a storage adapter around a Web Storage area
+ * The area is looked up on every call, so it is only required once actually used
+ * @param {Function} getArea - Returns the Storage object, e.g. () => localStorage
+ * @private
+ */
+function createWebStorage(getArea) {
+    // Node, workers and the like have no Web Storage; keep snapshots in memory there
+    let fallback = null;
+    const area = () => getArea() || fallback || (fallback = createMemoryStorage());
+
+    return {
+        getItem: (key) => area().getItem(key),
+        setItem: (key, value) => area().setItem(key, value),
+        removeItem: (key) => area().removeItem(key),
+    };
+}
+
+/**
+ * Create a storage adapter that keeps snapshots in memory only
+ * Nothing survives a page reload and nothing ever touches disk
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}}
+ */
+function createMemoryStorage() {
+    const items = new Map();
+
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            items.set(key, String(value));
+        },
+        removeItem: (key) => {
+            items.delete(key);
+        },
+    };
+}
+
+/**
+ * Create an asynchronous storage adapter backed by IndexedDB
+ * @param {Object} [options]
+ * @param {string} [options.databaseName="simple-state-library"] - IndexedDB database name
+ * @param {string} [options.storeName="models"] - Object store holding the snapshots
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}}
+ */
+function createIndexedDBStorage({ databaseName = "simple-state-library", storeName = "models" } = {}) {
+    let database = null;
+
+    const open = () => {
+        if (!database) {
+            database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    // Allow a later call to try again
+                    database = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return database;
+    };
+
+    const run = (mode, operation) => open().then((db) => new Promise((resolve, reject) => {
+        const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }));
+
+    return {
+        getItem: (key) => run("readonly", (store) => store.get(key)).then((value) => value ?? null),
+        setItem: (key, value) => run("readwrite", (store) => store.put(value, key)).then(() => {}),
+        removeItem: (key) => run("readwrite", (store) => store.delete(key)).then(() => {}),
+    };
+}
+
+/**
+ * Check whether a value is a container that gets wrapped in a reactive proxy
+ * (plain objects, arrays, Maps and Sets - class instances are left alone)
+ * @private
+ */
+function isReactiveCandidate(value) {
+    if (value === null || typeof value !== "object") return false;
+    if (Array.isArray(value) || value instanceof Map || value instanceof Set) return true;
+
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Turn a find()/filter() query into a predicate:
+ * a function is used as is, an object matches items with the same values,
+ * anything else matches the item with that id
+ * @private
+ */
+function createMatcher(query) {
+    if (typeof query === "function") return query;
+
+    if (query !== null && typeof query === "object") {
+        return (item) => Object.keys(query).every((key) => item[key] === query[key]);
+    }
+
+    return (item) => item.id != null && String(item.id) === String(query);
+}
+
+/**
+ * Unique key for a new collection item's instance name ("todos:<key>")
+ * @private
+ */
+function createItemKey() {
+    itemCounter++;
+    return `${Date.now().toString(36)}${itemCounter.toString(36)}`;
+}
+
+/**
+ * Deep-copy model state: plain objects, arrays, Maps, Sets and Dates are copied,
+ * anything else (models, class instances) is kept by reference
+ * @private
+ */
+function cloneState(value) {
+    value = toRaw(value);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (!isReactiveCandidate(value)) return value;
+
+    if (Array.isArray(value)) return value.map(cloneState);
+    if (value instanceof Map) return new Map([...value].map(([key, entry]) => [key, cloneState(entry)]));
+    if (value instanceof Set) return new Set([...value].map(cloneState));
+
+    const copy = {};
+    for (const key of Object.keys(value)) {
+        copy[key] = cloneState(value[key]);
+    }
+    return copy;
+}
+
+/**
+ * Return the raw object behind a reactive proxy (or the value itself)
+ * @private
+ */
+function toRaw(value) {
+    return (value !== null && typeof value === "object" && reactiveTargets.get(value)) || value;
+}
+
+// Attributes that load or navigate to a URL
+const URL_ATTRIBUTES = new Set(["href", "src", "xlink:href", "action", "formaction", "srcset", "poster"]);
+
+// SVG elements that can set another attribute (e.g. an <a>'s href to "javascript:...")
+const SVG_ANIMATION_ELEMENTS = new Set(["animate", "set", "animatemotion"]);
+
+/**
+ * Default data-html sanitizer (see Model.sanitizeHTML)
+ * @private
+ */
+function sanitizeHTML(html) {
+    if (html === null || html === undefined) return "";
+
+    const template = (renderDocument || document).createElement("template");
+    template.innerHTML = String(html);
+    const content = template.content;
+
+    content.querySelectorAll("script, style, iframe, frame, object, embed, link, meta, base")
+        .forEach((element) => element.remove());
+
+    // SVG names are case-sensitive in selectors (animateMotion), so compare them lowercased
+    for (const element of content.querySelectorAll("*")) {
+        if (SVG_ANIMATION_ELEMENTS.has(element.localName.toLowerCase())) {
+            element.remove();
+        }
+    }
+
+    for (const element of content.querySelectorAll("*")) {
+        for (const { name, value } of Array.from(element.attributes)) {
+            const attribute = name.toLowerCase();
+            // Browsers ignore control characters and whitespace inside the scheme
+            const url = value.replace(/[\u0000-\u0020]/g, "").toLowerCase();
+
+            if (
+                attribute.startsWith("on") ||
+                attribute === "srcdoc" ||
+                (URL_ATTRIBUTES.has(attribute) && /^(javascript|vbscript|data):/.test(url) && !url.startsWith("data:image/"))
+            ) {
+                element.removeAttribute(name);
+            }
+        }
+    }
+
+    return template.innerHTML;
+}
+
 class Model {
     /**
-     * Create a new Model instance
-     * @param {string} instanceName - The name to register this model instance with (for DOM binding)
+     * Default storage for model classes that don't choose their own:
+     * a name from Model.storageAdapters, a custom adapter, or false to not persist
+     */
+    static storage = "session";
+
+    /**
+     * Named storage adapters, usable as `static storage = "<name>"`
+     * Register custom ones here, e.g. Model.storageAdapters.encrypted = {...}
+     */
+    static storageAdapters = {
+        session: createWebStorage(() => (typeof sessionStorage !== "undefined" ? sessionStorage : null)),
+        local: createWebStorage(() => (typeof localStorage !== "undefined" ? localStorage : null)),
+        memory: createMemoryStorage(),
+        indexedDB: createIndexedDBStorage(),
+    };
+
+    static createMemoryStorage = createMemoryStorage;
+    static createIndexedDBStorage = createIndexedDBStorage;
+
+    /**
+     * Version stamped on persisted snapshots; bump it together with `static migrations`
+     * when a field is renamed or retyped. Unstamped snapshots count as version 1.
+     */
+    static version = 1;
+
+    /**
+     * Default request options for get(), post(), put(), patch() and delete():
+     * { headers, credentials, token, params }. Subclasses add to these with their own `static http`.
+     */
+    static http = {};
+
+    /**
+     * How much the library prints: "silent" (the default), "error", "warn", "info"
+     * (requests, restores, lifecycle) or "debug" (every change and DOM update)
+     */
+    static logLevel = "silent";
+
+    /**
+     * What creating a model under a name that is already registered does:
+     * "warn" (the new model replaces the old one), "error" (throws) or "ignore"
+     */
+    static duplicateNames = "warn";
+
+    /**
+     * Binding directives besides data-bind, data-model and data-each
+     * Each one reads `attribute="<model>.<path>"` (or a comma-separated list of
+     * `<argument>:<model>.<path>` pairs) and renders the value with update(element, value, argument)
+     */
+    static directives = {
+        attr: {
+            attribute: "data-bind-attr",
+            update(element, value, name) {
+                if (value === false || value === null || value === undefined || value === "") {
+                    element.removeAttribute(name);
+                } else {
+                    element.setAttribute(name, value === true ? "" : value);
+                }
+            },
+        },
+        class: {
+            attribute: "data-bind-class",
+            update(element, value, name) {
+                if (name) {
+                    element.classList.toggle(name, Boolean(value));
+                    return;
+                }
+
+                // Without a class name the value is the class, e.g. data-bind-class="settings.theme"
+                const previous = boundClasses.get(element) || [];
+                const classes = String(value).split(/\s+/).filter(Boolean);
+                element.classList.remove(...previous);
+                element.classList.add(...classes);
+                boundClasses.set(element, classes);
+            },
+        },
+        style: {
+            attribute: "data-bind-style",
+            update(element, value, property) {
+                const name = property.startsWith("--")
+                    ? property
+                    : property.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+                if (value === false || value === null || value === undefined || value === "") {
+                    element.style.removeProperty(name);
+                } else {
+                    element.style.setProperty(name, value);
+                }
+            },
+        },
+        show: {
+            attribute: "data-show",
+            update(element, value) {
+                element.style.display = value ? "" : "none";
+            },
+        },
+        if: {
+            attribute: "data-if",
+            update(element, value) {
+                // Rendered on the server: kept in place but hidden, so the client can show it later
+                if (renderDocument) {
+                    element.toggleAttribute("hidden", !value);
+                    element.toggleAttribute("data-if-hidden", !value);
+                    return;
+                }
+                if (element.hasAttribute("data-if-hidden")) {
+                    element.removeAttribute("hidden");
+                    element.removeAttribute("data-if-hidden");
+                }
+
+                const anchor = ifAnchors.get(element);
+                if (!value && !anchor) {
+                    const placeholder = element.ownerDocument.createComment(` data-if="${element.getAttribute("data-if")}" `);
+                    element.replaceWith(placeholder);
+                    ifAnchors.set(element, placeholder);
+                } else if (value && anchor) {
+                    anchor.replaceWith(element);
+                    ifAnchors.delete(element);
+
+                    // Bindings inside may have been dropped from the index while the element was out
+                    element.querySelectorAll(bindingSelector()).forEach(mountElement);
+                }
+            },
+        },
+        disabled: {
+            attribute: "data-disabled",
+            update(element, value) {
+                element.toggleAttribute("disabled", Boolean(value));
+            },
+        },
+        html: {
+            attribute: "data-html",
+            update(element, value) {
+                element.innerHTML = Model.sanitizeHTML(value);
+            },
+        },
+    };
+
+    /**
+     * Sanitizer used by data-html: drops scripts, embeds, event handler attributes
+     * and javascript: URLs. Replace it for stricter rules (e.g. with DOMPurify.sanitize).
+     * @param {*} html - Untrusted HTML
+     * @returns {string} HTML that is safe to insert
+     */
+    static sanitizeHTML(html) {
+        return sanitizeHTML(html);
+    }
+
+    /**
+     * Named parsers/formatters for data-bind and data-model pipes ("cart.total|currency:EUR")
+     * parse(value, arg) turns field input into a model value, format(value, arg) does the reverse.
+     * Register custom ones here, e.g. Model.formatters.upper = { parse: (text) => text.toUpperCase() }
+     */
+    static formatters = {
+        trim: {
+            parse: (value) => (typeof value === "string" ? value.trim() : value),
+        },
+        number: {
+            parse: parseNumber,
+            format: (value) => (value === null || value === undefined ? "" : String(value)),
+        },
+        currency: {
+            parse: parseNumber,
+            format: (value, currency) => (typeof value === "number"
+                ? new Intl.NumberFormat(undefined, { style: "currency", currency: currency || "USD" }).format(value)
+                : value),
+        },
+        percent: {
+            parse: (value) => {
+                const number = parseNumber(value);
+                return number === null ? null : number / 100;
+            },
+            format: (value) => (typeof value === "number" ? `${Math.round(value * 10000) / 100}%` : value),
+        },
+        date: {
+            parse: (value) => {
+                const date = new Date(`${String(value).trim()}T00:00:00Z`);
+                return Number.isNaN(date.getTime()) ? null : date;
+            },
+            format: (value) => (value instanceof Date && !Number.isNaN(value.getTime())
+                ? value.toISOString().slice(0, 10)
+                : value),
+        },
+    };
+
+    /**
+     * Validators for `static rules = { email: [required, email], age: [min(18)] }`
+     * A validator gets (value, model, field) and returns true (or nothing) when the value is
+     * fine, otherwise an error message (or false). It may return a promise, e.g. to ask the server.
+     * The factories take an optional message: min(18, "Adults only")
+     */
+    static validators = {
+        required: (value) => (isEmpty(value) ? "This field is required" : true),
+        email: (value) => (isEmpty(value) || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? true : "Enter a valid email address"),
+        min: (limit, message) => (value) =>
+            isEmpty(value) || Number(value) >= limit ? true : message || `Must be at least ${limit}`,
+        max: (limit, message) => (value) =>
+            isEmpty(value) || Number(value) <= limit ? true : message || `Must be at most ${limit}`,
+        minLength: (length, message) => (value) =>
+            isEmpty(value) || value.length >= length ? true : message || `Must be at least ${length} characters`,
+        maxLength: (length, message) => (value) =>
+            isEmpty(value) || value.length <= length ? true : message || `Must be at most ${length} characters`,
+        pattern: (regex, message) => (value) =>
+            isEmpty(value) || regex.test(value) ? true : message || "Invalid format",
+    };
+
+    /**
+     * TypeScript declarations for model classes, generated from their `static schema`
+     * Each class gets a "<Class>Fields" interface merged into its declaration; classes used
+     * as nested types get the interface only
+     * @param {...Function} classes - Model classes
+     * @returns {string} The contents of a .d.ts file
+     */
+    static generateTypes(...classes) {
+        const queue = [...classes];
+        const declared = new Set();
+        const blocks = [];
+
+        while (queue.length > 0) {
+            const ModelClass = queue.shift();
+            if (declared.has(ModelClass)) continue;
+            declared.add(ModelClass);
+
+            const nested = [];
+            const fields = [...schemaOf(ModelClass)].map(([field, definition]) => {
+                const key = /^[A-Za-z_$][\w$]*$/.test(field) ? field : JSON.stringify(field);
+                return `    ${key}: ${typeScriptType(definition, nested)};`;
+            });
+            queue.push(...nested);
+
+            let block = `export interface ${ModelClass.name}Fields {\n${fields.join("\n")}\n}`;
+            if (classes.includes(ModelClass)) {
+                const parent = Object.getPrototypeOf(ModelClass);
+                const base = parent === Collection || classes.includes(parent) ? parent.name : "Model";
+                block += `\n\nexport declare class ${ModelClass.name} extends ${base} {}` +
+                    `\nexport interface ${ModelClass.name} extends ${ModelClass.name}Fields {}`;
+            }
+            blocks.push(block);
+        }
+
+        return `import { Model, Collection } from "simple-state-library";\n\n${blocks.join("\n\n")}\n`;
+    }
+
+    /**
+     * Default snapshot serializer: JSON that keeps Date, Map, Set and BigInt values intact
+     * @param {Object} data - The snapshot
+     * @returns {string}
+     */
+    static serialize(data) {
+        return JSON.stringify(data, stateReplacer);
+    }
+
+    /**
+     * Default snapshot deserializer, the counterpart of Model.serialize()
+     * @param {string} text - The stored snapshot
+     * @returns {Object}
+     */
+    static deserialize(text) {
+        return JSON.parse(text, stateReviver);
+    }
+
+    /**
+     * Create a new Model instance
+     * @param {string} instanceName - The name to register this model instance with (for DOM binding)
+     * @param {Object|boolean} [options] - Instance options, or false to disable persistence
+     * @param {string|Object|boolean} [options.storage] - Overrides the class's storage for this instance
+     */
+    constructor(instanceName, options = {}) {
+        if (options === false) {
+            options = { storage: false };
+        }
+
+        // A scoped model is registered (and stored) as "<scope>/<name>"; markup inside
+        // data-scope="<scope>" refers to it by its plain name
+        const scope = options.scope != null ? String(options.scope) : null;
+        if (scope !== null) {
+            instanceName = `${scope}/${instanceName}`;
+        }
+
+        if (modelRegistry.has(instanceName)) {
+            const message = `Model "${instanceName}" is already registered; dispose() it first or give the new one a scope`;
+            if (Model.duplicateNames === "error") {
+                throw new Error(message);
+            }
+            if (Model.duplicateNames === "warn") {
+                log("warn", message);
+            }
+        }
+
+        // Store metadata
+        Object.defineProperty(this, "__instanceName", {
+            value: instanceName,
+            enumerable: false,
+            writable: false,
+        });
+
+        Object.defineProperty(this, "__storage", {
+            value: Model.__resolveStorage(
+                "storage" in options ? options.storage : this.constructor.storage
+            ),
+            enumerable: false,
+            writable: false,
+        });
+
+        // True while an asynchronous restore is still running
+        Object.defineProperty(this, "__restoring", {
+            value: false,
+            enumerable: false,
+            writable: true,
+        });
+
+        // True while a snapshot (restored or from another tab) is being applied
+        Object.defineProperty(this, "__applyingSnapshot", {
+            value: false,
+            enumerable: false,
+            writable: true,
+        });
+
+        // Serialized payload fields as of the last successful request (see patch() and changes())
+        Object.defineProperty(this, "__synced", {
+            value: null,
+            enumerable: false,
+            writable: true,
+        });
+
+        // Restored (or hydrated) values, kept so class field initializers don't clobber them
+        Object.defineProperty(this, "__restored", {
+            value: null,
+            enumerable: false,
+            writable: true,
+        });
+
+        // The scope the model was created in, the snapshot it was restored from (for onRestore)
+        // and whether dispose() has been called
+        Object.defineProperty(this, "__lifecycle", {
+            value: { scope, restored: null, disposed: false },
+            enumerable: false,
+            writable: false,
+        });
+
+        // Request state, bindable like any property (data-bind="user.$loading")
+        // but never persisted or sent to the server
+        Object.defineProperty(this, "$loading", {
+            value: false,
+            enumerable: false,
+            writable: true,
+        });
+
+        Object.defineProperty(this, "$error", {
+            value: null,
+            enumerable: false,
+            writable: true,
+        });
+
+        Object.defineProperty(this, "$lastSyncedAt", {
+            value: null,
+            enumerable: false,
+            writable: true,
+        });
+
+        // Validation state, bindable like request state (data-bind="user.$errors.email"):
+        // the first failing rule's message per field, whether there are none,
+        // and which fields have been changed / left by the user
+        Object.defineProperty(this, "$errors", {
+            value: {},
+            enumerable: false,
+            writable: true,
+        });
+
+        Object.defineProperty(this, "$valid", {
+            value: true,
+            enumerable: false,
+            writable: true,
+        });
+
+        Object.defineProperty(this, "$dirty", {
+            value: {},
+            enumerable: false,
+            writable: true,
+        });
+
+        Object.defineProperty(this, "$touched", {
+            value: {},
+            enumerable: false,
+            writable: true,
+        });
+
+        // Class field defaults, for reset()
+        Object.defineProperty(this, "__defaults", {
+            value: {},
+            enumerable: false,
+            writable: false,
+        });
+
+        // Undo/redo (`static history`): the state before each step, and the current state
+        Object.defineProperty(this, "__history", {
+            value: this.constructor.history
+                ? { undo: [], redo: [], baseline: {}, lastChange: 0, stale: false, replaying: false }
+                : null,
+            enumerable: false,
+            writable: false,
+        });
+
+        // Field -> number of its latest validation run (results of older async runs are dropped)
+        Object.defineProperty(this, "__validations", {
+            value: new Map(),
+            enumerable: false,
+            writable: false,
+        });
+
+        // Requests in flight, the controller of the latest get() (superseded ones are aborted),
+        // and whether the next get() can be skipped because the state was just hydrated
+        Object.defineProperty(this, "__requests", {
+            value: { active: 0, get: null, hydrated: false },
+            enumerable: false,
+            writable: false,
+        });
+
+        // When this tab last changed the model (for last-writer-wins syncing)
+        Object.defineProperty(this, "__changedAt", {
+            value: 0,
+            enumerable: false,
+            writable: true,
+        });
+
+        Object.defineProperty(this, "__handlers", {
+            value: new Map(),
+            enumerable: false,
+            writable: false,
+        });
+
+        // Raw nested objects -> path they were read at -> their reactive proxy (created lazily on read)
+        Object.defineProperty(this, "__reactiveCache", {
+            value: new WeakMap(),
+            enumerable: false,
+            writable: false,
+        });
+
+        // The model itself, also when reached through its proxy (for walking raw state)
+        Object.defineProperty(this, "__raw", {
+            value: this,
+            enumerable: false,
+            writable: false,
+        });
+
+        // Computed property name -> { value, deps, dirty }
+        Object.defineProperty(this, "__computed", {
+            value: new Map(),
+            enumerable: false,
+            writable: false,
+        });
+
+        // Changes collected until the next flush
+        Object.defineProperty(this, "__pending", {
+            value: { paths: new Set(), fullSync: false, persist: false, broadcast: false },
+            enumerable: false,
+            writable: false,
+        });
+
+        // Fields declared only in `static schema` start from its default
+        for (const [field, definition] of this.__schema()) {
+            if ("default" in definition) {
+                this[field] = cloneState(definition.default);
+                this.__defaults[field] = cloneState(definition.default);
+                if (this.__history) {
+                    this.__history.baseline[field] = cloneState(definition.default);
+                }
+            }
+        }
+
+        // Restore from storage; resolves once asynchronous adapters have answered
+        Object.defineProperty(this, "$ready", {
+            value: this.__restore(),
+            enumerable: false,
+            writable: false,
+        });
+
+        // State rendered on the server (Model.hydrate()) wins over defaults and storage
+        if (pendingHydration.has(instanceName)) {
+            log("info", `[Model] Hydrating "${instanceName}"`);
+            this.__applySnapshot(pendingHydration.get(instanceName), this, "hydration");
+            pendingHydration.delete(instanceName);
+
+            // That is what the server has; its first get() can be skipped
+            this.__requests.hydrated = true;
+            this.$ready.then(() => this.__markSynced());
+        }
+
+        // Create the Proxy for reactivity
+        const proxy = this.__createProxy();
+
+        Object.defineProperty(this, "__proxy", {
+            value: proxy,
+            enumerable: false,
+            writable: false,
+        });
+
+        // Register the PROXY in the registry, not the raw object
+        modelRegistry.set(instanceName, proxy);
+        if (scope !== null) {
+            scopedModels++;
+        }
+        log("info", `[Model] Registered model "${instanceName}"`);
+        log("debug", `[Model] modelRegistry now has ${modelRegistry.size} models`);
+
+        // Sync initial state to DOM bindings once the class fields are defined
+        log("debug", `[Model] Scheduling initial DOM sync for "${instanceName}"`);
+        this.__pending.fullSync = true;
+        scheduleFlush(this);
+
+        if (this.constructor.sync) {
+            registerSync(this);
+        }
+
+        // Work out $errors/$valid for the initial (or restored) values once the class fields exist
+        if (this.__rules().size > 0) {
+            this.$ready.then(() => {
+                for (const field of this.__rules().keys()) {
+                    this.__validateField(field);
+                }
+            });
+        }
+
+        // Lifecycle hooks run once the class fields (and the restored state) are in place
+        queueMicrotask(() => {
+            if (!this.__lifecycle.disposed) this.__hook("onCreate");
+        });
+        this.$ready.then(() => {
+            if (this.__lifecycle.restored && !this.__lifecycle.disposed) {
+                this.__hook("onRestore", this.__lifecycle.restored);
+            }
+        });
+
+        // Return the Proxy
+        return proxy;
+    }
+
+    /**
+     * Create a Proxy that intercepts property assignments
+     * @private
+     */
+    __createProxy() {
+        return new Proxy(this, {
+            set: (target, property, value, receiver) => {
+                // Computed setters run against the proxy so their writes are reactive
+                if (this.__computedDefinitions().has(property)) {
+                    return Reflect.set(target, property, value, receiver);
+                }
+
+                // Ignore internal properties and methods
+                if (
+                    typeof property !== "string" ||
+                    property.startsWith("__") ||
+                    typeof value === "function" ||
+                    property === "endpoint"
+                ) {
+                    target[property] = value;
+                    return true;
+                }
+
+                // Plugins may transform the value or veto the assignment
+                value = toRaw(value);
+                if (!property.startsWith("$")) {
+                    const context = this.__beforeSet([property], value, target[property]);
+                    if (!context) return true;
+                    value = toRaw(context.value);
+                }
+
+                // Store raw objects, never our own reactive wrappers; declared fields
+                // are converted to their type (values that don't fit throw a SchemaError)
+                value = this.__coerce([property], value);
+
+                // Only trigger updates if value actually changed
+                if (target[property] === value) {
+                    log("debug", `[Model:${this.__instanceName}] No change for ${property}, skipping update`);
+                    return true;
+                }
+
+                // Set the value
+                log("debug", `[Model:${this.__instanceName}] Setting ${property} = ${value}`);
+                const oldValue = target[property];
+                target[property] = value;
+
+                this.__handleChange([property], value, oldValue);
+
+                return true;
+            },
+
+            get: (target, property) => {
+                if (
+                    typeof property !== "string" ||
+                    property.startsWith("__") ||
+                    property === "endpoint"
+                ) {
+                    return target[property];
+                }
+
+                this.__track([property], false);
+
+                const definition = this.__computedDefinitions().get(property);
+                if (definition) {
+                    return definition.method
+                        ? this.__computedEntry(property).call
+                        : this.__evaluateComputed(property);
+                }
+
+                // Hand out nested objects wrapped so deep mutations are seen too
+                return this.__reactive(target[property], [property], []);
+            },
+
+            deleteProperty: (target, property) => {
+                if (!(property in target)) return true;
+
+                const oldValue = target[property];
+                delete target[property];
+                if (typeof property === "string" && !property.startsWith("__")) {
+                    this.__handleChange([property], undefined, oldValue);
+                }
+                return true;
+            },
+
+            defineProperty: (target, property, descriptor) => {
+                // Class fields are defined on the returned proxy *after* this
+                // constructor ran, so restored values must win over field defaults
+                const restored = this.__restored;
+                if (
+                    "value" in descriptor &&
+                    typeof property === "string" &&
+                    !property.startsWith("__") &&
+                    typeof descriptor.value !== "function"
+                ) {
+                    if (property !== "endpoint") {
+                        this.__defaults[property] = cloneState(descriptor.value);
+                    }
+                    if (restored && Object.prototype.hasOwnProperty.call(restored, property)) {
+                        descriptor = { ...descriptor, value: restored[property] };
+                    }
+
+                    Reflect.defineProperty(target, property, descriptor);
+                    if (property !== "endpoint") {
+                        // Where the undo history starts
+                        if (this.__history) {
+                            this.__history.baseline[property] = cloneState(descriptor.value);
+                        }
+
+                        // Part of construction, not a change: just make sure it gets saved and rendered
+                        this.__pending.fullSync = true;
+                        scheduleFlush(this);
+                    }
+                    return true;
+                }
+
+                return Reflect.defineProperty(target, property, descriptor);
+            },
+        });
+    }
+
+    /**
+     * Wrap a nested object, array, Map or Set in a reactive proxy
+     * An object reachable at two paths gets a proxy for each
+     * @param {*} value - The value read from the model
+     * @param {Array<string>} path - Where the value lives, e.g. ["address"]
+     * @param {Array<Object>} [parents] - The raw values along the path above it (looked up when omitted)
+     * @private
+     */
+    __reactive(value, path, parents) {
+        if (!isReactiveCandidate(value)) return value;
+
+        let proxies = this.__reactiveCache.get(value);
+        if (!proxies) {
+            proxies = new Map();
+            this.__reactiveCache.set(value, proxies);
+        }
+
+        const key = path.join(".");
+        let proxy = proxies.get(key);
+        if (!proxy) {
+            // Kept so changes can be reported where the value is now, not where it was read
+            const along = parents ? [...parents, value] : this.__valuesAlong(path);
+            proxy = value instanceof Map || value instanceof Set
+                ? this.__createCollectionProxy(value, path, along)
+                : this.__createNestedProxy(value, path, along);
+
+            proxies.set(key, proxy);
+            reactiveTargets.set(proxy, value);
+        }
+
+        return proxy;
+    }
+
+    /**
+     * The raw values along a path, from the top-level field down
+     * @private
+     */
+    __valuesAlong(path) {
+        const values = [];
+        let container = this.__raw;
+        for (const key of path) {
+            container = container == null ? undefined : toRaw(container instanceof Map ? container.get(key) : container[key]);
+            values.push(container);
+        }
+        return values;
+    }
+
+    /**
+     * Where a nested value is now: array items move (unshift, splice, sort, reverse...),
+     * so every step is checked against the value that was read there
+     * @param {Array<string>} path - Where the value was read
+     * @param {Array<Object>} along - The raw values along that path
+     * @returns {Array<string>} The current path
+     * @private
+     */
+    __locate(path, along) {
+        let container = this.__raw;
+        const located = [];
+        for (let i = 0; i < path.length; i++) {
+            let key = path[i];
+            const found = container == null ? undefined : container instanceof Map ? container.get(key) : container[key];
+            if (toRaw(found) !== along[i] && Array.isArray(container)) {
+                const index = container.indexOf(along[i]);
+                if (index !== -1) key = String(index);
+            }
+            located.push(key);
+            container = along[i];
+        }
+        return located;
+    }
+
+    /**
+     * Create a Proxy for a nested plain object or array
+     * @param {Object|Array} target - The raw value
+     * @param {Array<string>} readPath - Where it was read
+     * @param {Array<Object>} along - The raw values along that path (see __locate)
+     * @private
+     */
+    __createNestedProxy(target, readPath, along) {
+        return new Proxy(target, {
+            get: (obj, property) => {
+                const value = obj[property];
+                if (typeof property === "symbol") return value;
+
+                // Reading from an array depends on the whole array (indexes shift)
+                const path = this.__locate(readPath, along);
+                if (Array.isArray(obj)) {
+                    this.__track(path, true);
+                } else {
+                    this.__track([...path, property], false);
+                }
+
+                return this.__reactive(value, [...path, property], along);
+            },
+
+            has: (obj, property) => {
+                this.__track(this.__locate(readPath, along), true);
+                return property in obj;
+            },
+
+            ownKeys: (obj) => {
+                this.__track(this.__locate(readPath, along), true);
+                return Reflect.ownKeys(obj);
+            },
+
+            set: (obj, property, value) => {
+                const path = this.__locate(readPath, along);
+                value = toRaw(value);
+                if (typeof property === "string") {
+                    if (!path[0].startsWith("$")) {
+                        const context = this.__beforeSet([...path, property], value, obj[property]);
+                        if (!context) return true;
+                        value = toRaw(context.value);
+                    }
+                    value = this.__coerce([...path, property], value);
+                }
+
+                if (obj[property] === value && Object.prototype.hasOwnProperty.call(obj, property)) {
+                    return true;
+                }
+
+                const oldValue = obj[property];
+                obj[property] = value;
+                if (typeof property === "string") {
+                    log("debug", `[Model:${this.__instanceName}] Setting ${[...path, property].join(".")} = ${value}`);
+                    this.__handleChange([...path, property], value, oldValue);
+                }
+                return true;
+            },
+
+            deleteProperty: (obj, property) => {
+                if (!Object.prototype.hasOwnProperty.call(obj, property)) return true;
+
+                const oldValue = obj[property];
+                delete obj[property];
+                if (typeof property === "string") {
+                    this.__handleChange([...this.__locate(readPath, along), property], undefined, oldValue);
+                }
+                return true;
+            },
+        });
+    }
+
+    /**
+     * Create a Proxy for a nested Map or Set
+     * Their contents live in internal slots, so the mutating methods are wrapped instead of trapped
+     * @param {Map|Set} target - The raw value
+     * @param {Array<string>} readPath - Where it was read
+     * @param {Array<Object>} along - The raw values along that path (see __locate)
+     * @private
+     */
+    __createCollectionProxy(target, readPath, along) {
+        return new Proxy(target, {
+            get: (collection, property, receiver) => {
+                const path = this.__locate(readPath, along);
+                this.__track(path, true);
+                if (property === "size") return collection.size;
+
+                const member = collection[property];
+                if (typeof member !== "function") return member;
+
+                switch (property) {
+                    case "get":
+                        return (key) => this.__reactive(collection.get(key), [...path, String(key)], along);
+
+                    case "set":
+                        return (key, value) => {
+                            value = toRaw(value);
+                            const changed = !collection.has(key) || collection.get(key) !== value;
+                            collection.set(key, value);
+                            if (changed) this.__handleChange(path, collection, collection);
+                            return receiver;
+                        };
+
+                    case "add":
+                        return (value) => {
+                            value = toRaw(value);
+                            const changed = !collection.has(value);
+                            collection.add(value);
+                            if (changed) this.__handleChange(path, collection, collection);
+                            return receiver;
+                        };
+
+                    case "delete":
+                        return (key) => {
+                            const deleted = collection.delete(key);
+                            if (deleted) this.__handleChange(path, collection, collection);
+                            return deleted;
+                        };
+
+                    case "clear":
+                        return () => {
+                            const hadEntries = collection.size > 0;
+                            collection.clear();
+                            if (hadEntries) this.__handleChange(path, collection, collection);
+                        };
+
+                    case "forEach":
+                        return (callback, thisArg) => {
+                            for (const [key, value] of this.__collectionEntries(collection, path, along)) {
+                                callback.call(thisArg, value, collection instanceof Map ? key : value, receiver);
+                            }
+                        };
+
+                    case "entries":
+                    case "values":
+                    case "keys":
+                    case Symbol.iterator: {
+                        const isMap = collection instanceof Map;
+                        const pick = property === "entries" || (property === Symbol.iterator && isMap)
+                            ? (key, value) => [isMap ? key : value, value]
+                            : property === "keys" && isMap
+                                ? (key) => key
+                                : (key, value) => value;
+                        return () => this.__collectionEntries(collection, path, along, pick);
+                    }
+
+                    default:
+                        return member.bind(collection);
+                }
+            },
+        });
+    }
+
+    /**
+     * Iterate a Map or Set with the values wrapped, so changes made while iterating are seen
+     * Map values are found under their key, Set values under their position
+     * @param {Function} [pick] - What to yield for each (key, wrapped value); the pair by default
+     * @private
+     */
+    *__collectionEntries(collection, path, along, pick = (key, value) => [key, value]) {
+        let index = 0;
+        for (const [key, value] of collection.entries()) {
+            const child = [...path, String(collection instanceof Map ? key : index++)];
+            yield pick(key, this.__reactive(value, child, along));
+        }
+    }
+
+    /**
+     * React to a change anywhere in the model's state
+     * @param {Array<string>} path - Path of the property that changed, e.g. ["address", "city"]
+     * @param {*} value - The new value
+     * @param {*} oldValue - The previous value
+     * @private
+     */
+    __handleChange(path, value, oldValue) {
+        // Computed properties that read this path must be recalculated
+        const invalidated = this.__invalidateComputed(path.join("."));
+        const staleDependents = this.__invalidateDependents([path.join("."), ...invalidated.map(({ name }) => name)]);
+
+        // $-prefixed request state is rendered but never stored
+        const isState = path[0].startsWith("$");
+        if (!isState) {
+            this.__pending.persist = true;
+        }
+
+        // Changes made in this tab are shared with other tabs on the next flush
+        if (!this.__applyingSnapshot && !isState) {
+            this.__changedAt = Date.now();
+            this.__pending.broadcast = true;
+        }
+
+        if (!isState && this.__history) {
+            this.__recordHistory();
+        }
+
+        // Bindings to isDirty are re-evaluated with every change
+        if (!isState) {
+            this.__pending.paths.add("isDirty");
+        }
+
+        if (!isState) {
+            // Loading, restoring or syncing from another tab doesn't make a field dirty.
+            // Rendered with this change rather than reported as a change of its own
+            const dirty = toRaw(this.$dirty);
+            if (!this.__applyingSnapshot && !dirty[path[0]]) {
+                dirty[path[0]] = true;
+                this.__pending.paths.add(`$dirty.${path[0]}`);
+            }
+            if (this.__rules().has(path[0])) {
+                this.__validateField(path[0]);
+            } else if (path[0] in this.$errors && this.__schema().has(path[0])) {
+                // The value the schema rejected has been replaced by one it accepts
+                this.__setError(path[0], null);
+            }
+        }
+
+        // Persisting and rendering are batched until the next flush
+        this.__pending.paths.add(path.join("."));
+        for (const { name } of invalidated) {
+            this.__pending.paths.add(name);
+        }
+        scheduleFlush(this);
+
+        // Notify subscribers
+        this.__emit(path, value, oldValue);
+        this.__emitComputed(invalidated);
+        for (const { model, invalidated: stale } of staleDependents) {
+            model.__emitComputed(stale);
+        }
+        if (!isState) {
+            // Item changes a collection passes on are already recorded under the item
+            if (timeline.recording && forwardingChanges === 0) {
+                recordChange(this, path, value, oldValue);
+            }
+            this.__hook("onChange", path.join("."), value, oldValue);
+            this.__afterSet(path, value, oldValue);
+        }
+    }
+
+    /**
+     * Persist and render the changes collected since the last flush
+     * @private
+     */
+    __flush() {
+        const { paths, fullSync, persist, broadcast } = this.__pending;
+        if (this.__lifecycle.disposed) return;
+        if (!fullSync && paths.size === 0) return;
+
+        const changed = [...paths];
+        paths.clear();
+        this.__pending.fullSync = false;
+        this.__pending.persist = false;
+        this.__pending.broadcast = false;
+
+        // The state undo() comes back to
+        if (this.__history && this.__history.stale) {
+            this.__history.baseline = cloneState(this.__payload());
+            this.__history.stale = false;
+        }
+
+        // Persist to storage (once per flush, however many writes)
+        if (fullSync || persist) {
+            this.__persist({ broadcast });
+        }
+
+        // Update DOM bindings
+        log("debug", `[Model:${this.__instanceName}] Updating DOM bindings for ${fullSync ? "all properties" : changed.join(", ")}...`);
+        this.__updateDOM(fullSync ? undefined : changed);
+    }
+
+    /**
+     * Group several changes so they are persisted and rendered together,
+     * synchronously, when the callback returns
+     * @param {Function} callback - Makes the changes
+     * @returns {*} Whatever the callback returns
+     */
+    batch(callback) {
+        batchDepth++;
+        try {
+            return callback.call(this);
+        } finally {
+            batchDepth--;
+            if (batchDepth === 0) {
+                Model.flush();
+            }
+        }
+    }
+
+    /**
+     * Persist and render all pending changes of every model right away
+     * instead of waiting for the scheduled microtask
+     */
+    static flush() {
+        flushScheduled = false;
+
+        // Flushing can cause new changes (e.g. from handlers); keep going until settled
+        while (pendingModels.size > 0) {
+            const models = [...pendingModels];
+            pendingModels.clear();
+            models.forEach((model) => model.__flush());
+        }
+    }
+
+    /**
+     * Bind everything under a root and keep watching it: elements added later are
+     * bound as they enter the DOM, and detached (listeners removed) when they leave.
+     * The document is mounted automatically; mount shadow roots (or any element
+     * outside the document) yourself
+     * @param {Document|Element|ShadowRoot} [root=document] - Where to look for bindings
+     * @returns {Function} Unmounts the root again
+     */
+    static mount(root = document) {
+        if (mountedRoots.has(root)) {
+            return () => Model.unmount(root);
+        }
+        log("info", `[Model] Mounting bindings in ${root.nodeName}`);
+
+        mountTree(root);
+
+        let observer = null;
+        if (typeof MutationObserver !== "undefined") {
+            observer = new MutationObserver(handleMutations);
+            observer.observe(root, observerOptions());
+        }
+        mountedRoots.set(root, observer);
+
+        return () => Model.unmount(root);
+    }
+
+    /**
+     * Stop watching a mounted root and detach the bindings under it
+     * @param {Document|Element|ShadowRoot} [root=document] - A root passed to Model.mount()
+     */
+    static unmount(root = document) {
+        const observer = mountedRoots.get(root);
+        if (observer) {
+            observer.disconnect();
+        }
+        mountedRoots.delete(root);
+        log("info", `[Model] Unmounting bindings in ${root.nodeName}`);
+
+        unmountTree(root);
+    }
+
+    /**
+     * Render the bindings of an HTML string with the current model state, e.g. on the server.
+     * Needs a DOM implementation: the global document, or one passed in (jsdom, linkedom, ...).
+     * The markup keeps its binding attributes, so the client binds it as usual.
+     * @param {string} html - Markup with data-bind, data-model, data-each, ... attributes
+     * @param {Object} [options]
+     * @param {Document} [options.document] - Document used to parse and render the markup
+     * @returns {string} The rendered markup
+     */
+    static renderToString(html, { document: ownerDocument = typeof document !== "undefined" ? document : null } = {}) {
+        if (!ownerDocument) {
+            throw new Error("Model.renderToString() needs a DOM implementation; pass { document }");
+        }
+
+        const template = ownerDocument.createElement("template");
+        template.innerHTML = html;
+        const root = template.content;
+
+        renderDocument = ownerDocument;
+        try {
+            boundIn(root).forEach(mountElement);
+        } finally {
+            renderDocument = null;
+        }
+
+        // Properties don't show up in markup; write field state to attributes
+        root.querySelectorAll("[data-model]").forEach(reflectField);
+
+        // Mark list rows so the client replaces them with rows it can keep up to date
+        for (const container of root.querySelectorAll("[data-each]")) {
+            const state = listStates.get(container);
+            if (!state) continue;
+            for (const row of state.rows.values()) {
+                row.nodes
+                    .filter((node) => node.nodeType === 1)
+                    .forEach((node) => node.setAttribute("data-ssr-row", ""));
+            }
+        }
+
+        return template.innerHTML;
+    }
+
+    /**
+     * Install a plugin. Installed on Model its hooks run for every model; installed on
+     * a subclass (User.use(plugin)) only for that class and its subclasses.
+     * Each hook is optional and gets a context object it may change:
+     * - beforeSet({ model, path, value, oldValue }): change value, or return false to veto
+     * - afterSet({ model, path, value, oldValue })
+     * - beforePersist({ model, key, data }): change data, or return false to skip the write
+     * - beforeRequest({ model, method, url, init }): change url or init (may be async; throw to cancel)
+     * - afterResponse({ model, method, url, data }): change data before it is applied (may be async)
+     * The plugin's directives, formatters and validators are added for every model.
+     * @param {Object|Function} plugin - The plugin, or a function of the class that returns one
+     * @returns {Function} The class, so calls can be chained
+     */
+    static use(plugin) {
+        if (typeof plugin === "function") {
+            plugin = plugin(this);
+        }
+        if (!plugin || typeof plugin !== "object") {
+            throw new Error(`${this.name}.use() needs a plugin object`);
+        }
+
+        const installed = classPlugins.get(this) || [];
+        if (installed.includes(plugin)) return this;
+        classPlugins.set(this, [...installed, plugin]);
+        log("info", `[Model] Installed plugin ${plugin.name || "(unnamed)"} on ${this.name}`);
+
+        Object.assign(Model.formatters, plugin.formatters);
+        Object.assign(Model.validators, plugin.validators);
+        if (plugin.directives) {
+            Object.assign(Model.directives, plugin.directives);
+            mountDirectives(Object.values(plugin.directives).map(({ attribute }) => attribute));
+        }
+        return this;
+    }
+
+    /**
+     * Describe registered models for debugging: state, request and validation state,
+     * bound elements per path and storage key. Try console.table(Model.inspect()).
+     * @param {string} [name] - Only this model
+     * @returns {Array<Object>} { name, className, scope, state, status, bindings, subscribers, storageKey } per model
+     */
+    static inspect(name) {
+        const models = name === undefined ? [...modelRegistry.values()] : [modelRegistry.get(name)].filter(Boolean);
+        return models.map((model) => model.__inspect());
+    }
+
+    /**
+     * Start recording every change of every model: { at, model, path, oldValue, value, source },
+     * where source is "code", "input", "storage", "another tab", "hydration", "http", "history" or "replay"
+     * Recording again starts a new timeline.
+     * @param {Object} [options]
+     * @param {number} [options.limit=1000] - Entries kept (the oldest are dropped)
+     * @returns {Function} Stops recording (the entries are kept)
+     */
+    static recordTimeline({ limit = 1000 } = {}) {
+        timeline.entries = [];
+        timeline.limit = limit;
+        timeline.recording = true;
+        log("info", `[Model] Recording the change timeline (up to ${limit} entries)`);
+
+        const entries = timeline.entries;
+        return () => {
+            if (timeline.entries === entries) timeline.recording = false;
+        };
+    }
+
+    /**
+     * The changes recorded since Model.recordTimeline()
+     * @returns {Array<Object>}
+     */
+    static timeline() {
+        return timeline.entries.slice();
+    }
+
+    /**
+     * The recorded changes as text (Dates, Maps and Sets intact), for replayTimeline()
+     * @returns {string}
+     */
+    static exportTimeline() {
+        return Model.serialize(timeline.entries);
+    }
+
+    /**
+     * Apply recorded changes again, in order, to the models registered under the same names
+     * @param {string|Array<Object>} entries - Output of exportTimeline() or timeline()
+     * @returns {number} How many changes were applied
+     */
+    static replayTimeline(entries) {
+        if (typeof entries === "string") {
+            entries = Model.deserialize(entries);
+        }
+
+        let replayed = 0;
+        withSource("replay", () => {
+            for (const entry of entries) {
+                const model = modelRegistry.get(entry.model);
+                if (!model) {
+                    log("warn", `Cannot replay ${entry.model}.${entry.path}: no model "${entry.model}"`);
+                    continue;
+                }
+                model.__writePath(entry.path.split("."), cloneState(entry.value));
+                replayed++;
+            }
+        });
+        return replayed;
+    }
+
+    /**
+     * Dispose a registered model by name (see Model#dispose)
+     * @param {string} name - Instance name, "<scope>/<name>" for scoped models
+     * @param {Object} [options] - Passed to dispose(), e.g. { clearStorage: true }
+     * @returns {boolean} Whether there was such a model
+     */
+    static unregister(name, options) {
+        const model = modelRegistry.get(name);
+        if (!model) return false;
+
+        model.dispose(options);
+        return true;
+    }
+
+    /**
+     * Dispose every model created with { scope } (e.g. when its widget is removed)
+     * @param {string} scope - The scope name
+     * @param {Object} [options] - Passed to dispose()
+     * @returns {number} How many models were disposed
+     */
+    static unregisterScope(scope, options) {
+        const models = [...modelRegistry.values()].filter((model) => model.__lifecycle.scope === String(scope));
+        models.forEach((model) => model.dispose(options));
+        return models.length;
+    }
+
+    /**
+     * Serialize the state of registered models for Model.hydrate() on the client
+     * The result is JSON that is safe to put inside a <script> element
+     * @param {Array<string>} [names] - Model names (defaults to every registered model)
+     * @returns {string}
+     */
+    static serializeState(names = [...modelRegistry.keys()]) {
+        const state = {};
+        for (const name of names) {
+            const model = modelRegistry.get(name);
+            if (model) {
+                state[name] = model.__stateData();
+            }
+        }
+
+        // "</script>" must not end the element early
+        return Model.serialize(state).replace(/</g, "\\u003c");
+    }
+
+    /**
+     * Pick up state serialized on the server: models that exist are updated, models
+     * created later start from it. The first get() of a hydrated model sends no request.
+     * @param {string|Object} [state] - Output of Model.serializeState(), or the parsed object;
+     *   read from <script id="model-state"> when omitted
+     */
+    static hydrate(state) {
+        if (state === undefined) {
+            const script = typeof document !== "undefined" ? document.getElementById("model-state") : null;
+            if (!script) {
+                log("warn", "Model.hydrate() found no <script id=\"model-state\">");
+                return;
+            }
+            state = script.textContent;
+        }
+
+        const data = typeof state === "string" ? Model.deserialize(state) : state;
+        const existing = [];
+        for (const [name, values] of Object.entries(data || {})) {
+            if (modelRegistry.has(name)) {
+                existing.push([modelRegistry.get(name), values]);
+            } else {
+                // Picked up by the constructor (collections create their items from it too)
+                pendingHydration.set(name, values);
+            }
+        }
+
+        for (const [model, values] of existing) {
+            log("info", `[Model] Hydrating "${model.__instanceName}"`);
+            model.__applySnapshot(values, model, "hydration");
+            model.__markSynced();
+            model.__requests.hydrated = true;
+        }
+    }
+
+    /**
+     * Find the computed properties of this model's class
+     * Computed properties are `get` accessors declared on model subclasses, plus
+     * the methods named in a `static computed = [...]` list
+     * @returns {Map<string, {get: Function, method: boolean}>}
+     * @private
+     */
+    __computedDefinitions() {
+        const ModelClass = this.constructor;
+        if (computedDefinitions.has(ModelClass)) {
+            return computedDefinitions.get(ModelClass);
+        }
+
+        const definitions = new Map();
+
+        // Walk up to (but not including) Model.prototype; subclasses win over parents
+        let proto = ModelClass.prototype;
+        while (proto && proto !== Model.prototype) {
+            for (const name of Object.getOwnPropertyNames(proto)) {
+                const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+                if (descriptor.get && !definitions.has(name)) {
+                    definitions.set(name, { get: descriptor.get, method: false });
+                }
+            }
+            proto = Object.getPrototypeOf(proto);
+        }
+
+        for (const name of ModelClass.computed || []) {
+            const method = ModelClass.prototype[name];
+            if (typeof method === "function") {
+                definitions.set(name, { get: method, method: true });
+            } else {
+                log("warn", `[Model] ${ModelClass.name}.computed lists "${name}", which is not a method`);
+            }
+        }
+
+        computedDefinitions.set(ModelClass, definitions);
+        return definitions;
+    }
+
+    /**
+     * Get (or create) the cache entry of a computed property
+     * @private
+     */
+    __computedEntry(name) {
+        let entry = this.__computed.get(name);
+        if (!entry) {
+            entry = {
+                value: undefined,
+                deps: new Map(),
+                dirty: true,
+                // Stand-in for `static computed` methods, so user.fullName() is cached too
+                call: () => this.__evaluateComputed(name),
+            };
+            this.__computed.set(name, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Return a computed property's cached value, recalculating it when stale
+     * @private
+     */
+    __evaluateComputed(name) {
+        const entry = this.__computedEntry(name);
+        if (!entry.dirty) return entry.value;
+
+        const definition = this.__computedDefinitions().get(name);
+        const previousTracker = dependencyTracker;
+        const deps = new Map();
+        dependencyTracker = { deps };
+
+        try {
+            entry.value = definition.get.call(this.__proxy);
+        } finally {
+            dependencyTracker = previousTracker;
+        }
+
+        // Other models it read invalidate it through their own changes
+        for (const model of deps.keys()) {
+            if (model === this) continue;
+            if (!computedDependents.has(model)) {
+                computedDependents.set(model, new Set());
+            }
+            computedDependents.get(model).add(this);
+        }
+
+        entry.deps = deps;
+        entry.dirty = false;
+        log("debug", `[Model:${this.__instanceName}] Computed ${name} depends on: ${
+            [...deps].flatMap(([model, paths]) => [...paths.keys()].map((path) => (
+                model === this ? path : `${model.__instanceName}.${path}`
+            ))).join(", ")
+        }`);
+
+        return entry.value;
+    }
+
+    /**
+     * Record a read of this model while a computed property (of any model) is being evaluated
+     * @param {Array<string>} path - The path that was read
+     * @param {boolean} deep - Whether any change below the path counts as well
+     * @private
+     */
+    __track(path, deep) {
+        if (!dependencyTracker) return;
+
+        let deps = dependencyTracker.deps.get(this);
+        if (!deps) {
+            deps = new Map();
+            dependencyTracker.deps.set(this, deps);
+        }
+        const key = path.join(".");
+        deps.set(key, deep || deps.get(key) === true);
+    }
+
+    /**
+     * Mark the computed properties depending on a changed path as stale
+     * Computed properties reading other computed properties are invalidated in turn
+     * @param {string} changed - Dotted path that changed
+     * @param {Model} [source] - The model the path belongs to (this model by default)
+     * @returns {Array<{name: string, oldValue: *}>} The invalidated computed properties
+     * @private
+     */
+    __invalidateComputed(changed, source = this) {
+        const invalidated = [];
+
+        for (const [name, entry] of this.__computed) {
+            if (entry.dirty) continue;
+
+            for (const [dep, deep] of entry.deps.get(source) || []) {
+                if (
+                    dep === changed ||
+                    dep.startsWith(`${changed}.`) ||
+                    (deep && changed.startsWith(`${dep}.`))
+                ) {
+                    entry.dirty = true;
+                    invalidated.push({ name, oldValue: entry.value });
+                    invalidated.push(...this.__invalidateComputed(name));
+                    break;
+                }
+            }
+        }
+
+        return invalidated;
+    }
+
+    /**
+     * Pass changed paths on to the models whose computed properties read this one
+     * @param {Array<string>} paths - Dotted paths of this model that changed
+     * @param {Array} [stale] - Collects what was invalidated, for __emitComputed()
+     * @returns {Array<{model: Model, invalidated: Array}>} The invalidated computed properties, per model
+     * @private
+     */
+    __invalidateDependents(paths, stale = []) {
+        const dependents = computedDependents.get(this);
+        if (!dependents) return stale;
+
+        for (const model of [...dependents]) {
+            const invalidated = paths.flatMap((path) => model.__invalidateComputed(path, this));
+            if (!invalidated.length) continue;
+
+            for (const { name } of invalidated) {
+                model.__pending.paths.add(name);
+            }
+            scheduleFlush(model);
+            stale.push({ model, invalidated });
+            model.__invalidateDependents(invalidated.map(({ name }) => name), stale);
+        }
+        return stale;
+    }
+
+    /**
+     * Notify subscribers of computed properties whose value actually changed
+     * Stale computed properties nobody listens to are left for the next read
+     * @private
+     */
+    __emitComputed(invalidated) {
+        if (!this.__handlers.has("*") && !invalidated.some(({ name }) => this.__handlers.has(name))) {
+            return;
+        }
+
+        for (const { name, oldValue } of invalidated) {
+            const value = this.__evaluateComputed(name);
+            if (value !== oldValue) {
+                this.__emit([name], value, oldValue);
+            }
+        }
+    }
+
+    /**
+     * Call the handlers subscribed to a change
+     * Handlers registered for the top-level property and for "*" are called with
+     * (newValue, oldValue, property), where property is the full dotted path that changed
+     * @private
+     */
+    __emit(path, value, oldValue) {
+        const property = path.join(".");
+        const newValue = this.__reactive(value, path);
+
+        for (const key of [path[0], "*"]) {
+            const handlers = this.__handlers.get(key);
+            if (!handlers) continue;
+
+            // Copy so handlers can unsubscribe while we iterate
+            for (const handler of [...handlers]) {
+                try {
+                    handler.call(this.__proxy, newValue, oldValue, property);
+                } catch (error) {
+                    log("error",
+                        `[Model:${this.__instanceName}] Handler for "${key}" failed`,
+                        error
+                    );
+                }
+            }
+        }
+    }
+
+    /**
+     * Subscribe to changes of a property
+     * @param {string} property - Top-level property name, or "*" for every change
+     * @param {Function} handler - Called with (newValue, oldValue, property)
+     * @returns {Function} Unsubscribe function
+     */
+    on(property, handler) {
+        if (!this.__handlers.has(property)) {
+            this.__handlers.set(property, new Set());
+        }
+        this.__handlers.get(property).add(handler);
+
+        return () => this.off(property, handler);
+    }
+
+    /**
+     * Unsubscribe a handler (or every handler of a property when none is given)
+     * @param {string} property - Top-level property name, or "*"
+     * @param {Function} [handler] - The handler passed to on()
+     */
+    off(property, handler) {
+        const handlers = this.__handlers.get(property);
+        if (!handlers) return;
+
+        if (handler) {
+            handlers.delete(handler);
+        } else {
+            handlers.clear();
+        }
+
+        if (handlers.size === 0) {
+            this.__handlers.delete(property);
+        }
+    }
+
+    /**
+     * Watch a (possibly nested) property path
+     * The callback runs when the path itself, one of its parents or anything below it changes
+     * @param {string} path - Dotted property path, e.g. "address.city"
+     * @param {Function} callback - Called with (newValue, oldValue, changedPath)
+     * @param {Object} [options]
+     * @param {boolean} [options.immediate=false] - Also call the callback right away with the current value
+     * @returns {Function} Unwatch function
+     */
+    watch(path, callback, { immediate = false } = {}) {
+        const parts = path.split(".");
+        let current = this.__readPath(parts);
+
+        const handler = (newValue, oldValue, property) => {
+            const changed = property.split(".");
+            const length = Math.min(changed.length, parts.length);
+            for (let i = 0; i < length; i++) {
+                if (changed[i] !== parts[i]) return;
+            }
+
+            const previous = current;
+            current = this.__readPath(parts);
+            callback.call(this.__proxy, current, previous, property);
+        };
+
+        if (immediate) {
+            callback.call(this.__proxy, current, undefined, path);
+        }
+
+        return this.on("*", handler);
+    }
+
+    /**
+     * Copy the model's state (every public field) so it can be restored later
+     * @returns {Object} Plain object of field values, unaffected by later changes
+     */
+    snapshot() {
+        return cloneState(this.__payload());
+    }
+
+    /**
+     * Put the model back into a state taken with snapshot()
+     * Only fields that differ are assigned, all in one batch (and one undo step)
+     * @param {Object} snapshot - Field values, e.g. from snapshot()
+     */
+    restore(snapshot) {
+        const current = this.__payload();
+        this.batch(() => {
+            for (const key in snapshot) {
+                if (!(key in current) || Model.serialize(current[key]) !== Model.serialize(snapshot[key])) {
+                    this[key] = cloneState(snapshot[key]);
+                }
+            }
+        });
+    }
+
+    /**
+     * Put every field back to the default its class declares
+     */
+    reset() {
+        log("info", `[Model:${this.__instanceName}] Resetting to class defaults`);
+        this.restore(this.__defaults);
+    }
+
+    /**
+     * Go back one step (needs `static history`)
+     * @returns {boolean} Whether there was a step to undo
+     */
+    undo() {
+        return this.__travel("undo", "redo");
+    }
+
+    /**
+     * Re-apply the last undone step
+     * @returns {boolean} Whether there was a step to redo
+     */
+    redo() {
+        return this.__travel("redo", "undo");
+    }
+
+    /**
+     * Whether undo() has a step to go back to (bindable: data-show="editor.canUndo")
+     */
+    get canUndo() {
+        return Boolean(this.__history && this.__history.undo.length > 0);
+    }
+
+    /**
+     * Whether redo() has an undone step to re-apply
+     */
+    get canRedo() {
+        return Boolean(this.__history && this.__history.redo.length > 0);
+    }
+
+    /**
+     * The `static history` options with their defaults
+     * @private
+     */
+    __historyOptions() {
+        const history = this.constructor.history;
+        return { limit: 100, coalesce: 500, ...(history === true ? {} : history) };
+    }
+
+    /**
+     * Start a new undo step for a change, unless it belongs to the current one
+     * Changes in the same tick, or within `coalesce` ms of the previous one, make up one step
+     * @private
+     */
+    __recordHistory() {
+        const history = this.__history;
+        const { limit, coalesce } = this.__historyOptions();
+        const now = Date.now();
+
+        // Undoing, restoring from storage or syncing from another tab isn't a new step;
+        // the resulting state just becomes the baseline
+        const editing = !history.replaying && !this.__applyingSnapshot;
+        if (editing && !history.stale && now - history.lastChange >= coalesce) {
+            history.undo.push(history.baseline);
+            if (history.undo.length > limit) {
+                history.undo.shift();
+            }
+            history.redo.length = 0;
+            this.__pending.paths.add("canUndo");
+            this.__pending.paths.add("canRedo");
+        }
+
+        if (editing) {
+            history.lastChange = now;
+        }
+        history.stale = true;
+    }
+
+    /**
+     * Move one step from the undo stack to the redo stack (or back) and apply it
+     * @private
+     */
+    __travel(from, to) {
+        const history = this.__history;
+        if (!history) {
+            log("warn", `Model ${this.__instanceName} has no history; set static history = true to use undo()/redo()`);
+            return false;
+        }
+        if (history[from].length === 0) return false;
+
+        // Settle pending changes so the baseline is the state we are leaving
+        Model.flush();
+        history[to].push(history.baseline);
+
+        history.replaying = true;
+        try {
+            withSource("history", () => this.restore(history[from].pop()));
+        } finally {
+            history.replaying = false;
+        }
+
+        // The next edit starts a new step
+        history.lastChange = 0;
+        this.__pending.paths.add("canUndo");
+        this.__pending.paths.add("canRedo");
+        scheduleFlush(this);
+        return true;
+    }
+
+    /**
+     * Read a value by path through the reactive proxy (methods are not called)
+     * @param {Array<string>} parts - Path segments, e.g. ["address", "city"]
+     * @private
+     */
+    __readPath(parts) {
+        if (this.__computedDefinitions().has(parts[0])) {
+            let value = this.__evaluateComputed(parts[0]);
+            for (const part of parts.slice(1)) {
+                if (value == null) return undefined;
+                value = value[part];
+            }
+            return value;
+        }
+
+        let value = this.__proxy;
+        for (const part of parts) {
+            if (value == null) return undefined;
+            value = value instanceof Map ? value.get(part) : value[part];
+        }
+        return value;
+    }
+
+    /**
+     * Turn a storage setting into an adapter (or null when persistence is off)
+     * @param {string|Object|boolean|null} storage - Adapter name, adapter, or false
+     * @private
+     */
+    static __resolveStorage(storage) {
+        if (!storage) return null;
+
+        if (typeof storage === "string") {
+            const adapter = Model.storageAdapters[storage];
+            if (!adapter) {
+                throw new Error(`Unknown storage "${storage}"`);
+            }
+            return adapter;
+        }
+
+        return storage;
+    }
+
+    /**
+     * The class's persistence settings, with defaults filled in
+     * Configured with `static persist = { include, exclude, ttl, serialize, deserialize }`
+     * @private
+     */
+    __persistOptions() {
+        return {
+            serialize: Model.serialize,
+            deserialize: Model.deserialize,
+            ...this.constructor.persist,
+        };
+    }
+
+    /**
+     * Check whether a property belongs in the persisted snapshot
+     * @private
+     */
+    __isPersisted(key) {
+        const { include, exclude } = this.__persistOptions();
+
+        return (
+            !key.startsWith("__") &&
+            !key.startsWith("$") &&
+            key !== "endpoint" &&
+            (!include || include.includes(key)) &&
+            (!exclude || !exclude.includes(key))
+        );
+    }
+
+    /**
+     * Copy the persisted properties into a plain object
+     * @private
+     */
+    __snapshotData() {
+        const data = {};
+        for (const key in this) {
+            // Skip internal properties, methods, endpoint and anything not configured to persist
+            if (typeof this[key] !== "function" && this.__isPersisted(key)) {
+                data[key] = this[key];
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Persist model state to the model's storage
+     * @param {Object} [options]
+     * @param {boolean} [options.broadcast=false] - Also send the snapshot to other tabs (`static sync`)
+     * @private
+     */
+    __persist({ broadcast = false } = {}) {
+        const shouldBroadcast = broadcast && syncedModels.get(this.__instanceName) === this.__proxy;
+        if ((!this.__storage && !shouldBroadcast) || this.__restoring) return;
+
+        const data = {
+            __version: this.constructor.version,
+            __savedAt: Date.now(),
+            ...this.__snapshotData(),
+        };
+
+        const storageKey = `model:${this.__instanceName}`;
+        const failed = (error) => {
+            log("error", `Failed to persist model ${this.__instanceName}`, error);
+        };
+
+        try {
+            // Plugins may adjust the snapshot or skip the write
+            const context = { model: this.__proxy, key: storageKey, data };
+            if (this.__runPlugins("beforePersist", context) === false) {
+                log("info", `[Model:${this.__instanceName}] A plugin skipped persisting`);
+                return;
+            }
+
+            const write = (serialized) => {
+                if (shouldBroadcast) {
+                    broadcastSnapshot(this.__instanceName, serialized);
+                }
+                return this.__storage ? this.__storage.setItem(storageKey, serialized) : undefined;
+            };
+
+            const serialized = this.__persistOptions().serialize(context.data);
+            const result = isThenable(serialized) ? serialized.then(write) : write(serialized);
+
+            if (isThenable(result)) {
+                result.catch(failed);
+            }
+        } catch (error) {
+            failed(error);
+        }
+    }
+
+    /**
+     * Restore model state from the model's storage
+     * Synchronous adapters restore before the class fields are initialized;
+     * asynchronous ones (or asynchronous deserializers) apply the snapshot
+     * through the proxy once it arrives
+     * @returns {Promise<void>} Resolves when the model has been restored
+     * @private
+     */
+    __restore() {
+        if (!this.__storage) return Promise.resolve();
+
+        const storageKey = `model:${this.__instanceName}`;
+        let snapshot;
+        try {
+            const stored = this.__storage.getItem(storageKey);
+            snapshot = isThenable(stored)
+                ? stored.then((value) => this.__decodeSnapshot(value))
+                : this.__decodeSnapshot(stored);
+        } catch (error) {
+            this.__restoreFailed(error);
+            return Promise.resolve();
+        }
+
+        if (!isThenable(snapshot)) {
+            this.__applySnapshot(snapshot, this);
+            this.__lifecycle.restored = snapshot || null;
+            return Promise.resolve();
+        }
+
+        // Don't let the initial flush overwrite the snapshot we're waiting for
+        this.__restoring = true;
+
+        return snapshot.then(
+            (data) => {
+                this.__restoring = false;
+                this.__applySnapshot(data, this.__proxy);
+                this.__lifecycle.restored = data || null;
+            },
+            (error) => {
+                this.__restoring = false;
+                this.__restoreFailed(error);
+            }
+        );
+    }
+
+    /**
+     * Turn a stored string into a snapshot ready to apply
+     * @param {string|null} stored - The stored snapshot
+     * @returns {Object|null|Promise<Object|null>} The snapshot, or null if there is none to apply
+     * @private
+     */
+    __decodeSnapshot(stored) {
+        if (!stored) return null;
+
+        const data = this.__persistOptions().deserialize(stored);
+        if (isThenable(data)) {
+            return data.then((value) => this.__prepareSnapshot(value));
+        }
+
+        return this.__prepareSnapshot(data);
+    }
+
+    /**
+     * Expire, migrate and filter a deserialized snapshot
+     * @private
+     */
+    __prepareSnapshot(data) {
+        const { ttl } = this.__persistOptions();
+        if (ttl && data.__savedAt && Date.now() - data.__savedAt > ttl) {
+            log("info", `[Model:${this.__instanceName}] Stored snapshot expired, discarding it`);
+            this.__discardStored();
+            return null;
+        }
+
+        data = this.__migrate(data);
+
+        for (const key of Object.keys(data)) {
+            if (!this.__isPersisted(key)) {
+                delete data[key];
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Copy a restored snapshot onto the model
+     * @param {Object|null} data - The decoded snapshot
+     * @param {Object} target - The raw model (before fields exist) or its proxy (after)
+     * @param {string} [source="storage"] - Where the snapshot came from (for schema errors)
+     * @private
+     */
+    __applySnapshot(data, target, source = "storage") {
+        if (!data) return;
+        data = this.__coerceIncoming(data, source);
+
+        // Kept so class field initializers don't clobber restored values
+        if (target !== this.__proxy) {
+            this.__restored = { ...this.__restored, ...data };
+        }
+
+        this.__applyingSnapshot = true;
+        try {
+            withSource(source, () => {
+                for (const key in data) {
+                    target[key] = data[key];
+                }
+            });
+        } finally {
+            this.__applyingSnapshot = false;
+        }
+    }
+
+    /**
+     * Apply a snapshot another tab persisted
+     * @param {string} serialized - The snapshot as written to storage
+     * @private
+     */
+    __receiveRemote(serialized) {
+        const { conflict = "last-writer-wins" } = this.constructor.sync === true ? {} : this.constructor.sync;
+
+        Promise.resolve(serialized)
+            .then((text) => this.__persistOptions().deserialize(text))
+            .then((raw) => {
+                const savedAt = raw.__savedAt || 0;
+                let data = this.__prepareSnapshot(raw);
+                if (!data) return;
+
+                if (typeof conflict === "function") {
+                    data = conflict(this.__snapshotData(), data);
+                } else if (savedAt < this.__changedAt) {
+                    // This tab wrote more recently; its own snapshot will reach the other tab
+                    log("info", `[Model:${this.__instanceName}] Ignoring older snapshot from another tab`);
+                    return;
+                }
+
+                log("info", `[Model:${this.__instanceName}] Applying snapshot from another tab`);
+                this.__applySnapshot(data, this.__proxy, "another tab");
+            })
+            .catch((error) => {
+                log("error", `Failed to apply model ${this.__instanceName} from another tab`, error);
+            });
+    }
+
+    /**
+     * Report a snapshot that couldn't be read
+     * An unreadable snapshot is worse than none: start over from the defaults
+     * @private
+     */
+    __restoreFailed(error) {
+        log("error",
+            `Failed to restore model ${this.__instanceName} from storage, discarding it`,
+            error
+        );
+        this.__discardStored();
+    }
+
+    /**
+     * Upgrade a stored snapshot to the class's current version
+     * Runs `static migrations[n]` for every version after the snapshot's, in order
+     * @param {Object} data - The parsed snapshot
+     * @returns {Object} The snapshot in the current format
+     * @throws {Error} If the snapshot is newer than the class or a migration fails
+     * @private
+     */
+    __migrate(data) {
+        const { version, migrations = {} } = this.constructor;
+        const storedVersion = data.__version ?? 1;
+
+        if (storedVersion > version) {
+            throw new Error(`Snapshot version ${storedVersion} is newer than model version ${version}`);
+        }
+
+        for (let next = storedVersion + 1; next <= version; next++) {
+            if (typeof migrations[next] !== "function") continue;
+
+            log("info", `[Model:${this.__instanceName}] Migrating snapshot to version ${next}`);
+            const migrated = migrations[next](data);
+            if (migrated !== undefined) {
+                data = migrated;
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Remove the model's snapshot from storage
+     * @private
+     */
+    __discardStored() {
+        const storageKey = `model:${this.__instanceName}`;
+        try {
+            const result = this.__storage.removeItem(storageKey);
+            if (isThenable(result)) {
+                result.catch((error) => {
+                    log("error", `Failed to discard stored model ${this.__instanceName}`, error);
+                });
+            }
+        } catch (error) {
+            log("error", `Failed to discard stored model ${this.__instanceName}`, error);
+        }
+    }
+
+    /**
+     * Update the DOM elements bound to this model
+     * Without arguments the mounted roots are scanned (and the binding index rebuilt);
+     * with a list of changed paths only the indexed elements bound to them are touched
+     * @param {Array<string>} [changedPaths] - Dotted property paths that changed
+     * @private
+     */
+    __updateDOM(changedPaths) {
+        if (!changedPaths) {
+            if (typeof document === "undefined") return;
+
+            const selector = bindingSelector();
+            log("debug", `[Model:${this.__instanceName}] Looking for elements with selector: ${selector}`);
+
+            // Row bindings (item.*, $index) are rendered by their list
+            const elements = queryMounted(selector)
+                .filter((element) => isBoundTo(element, this.__instanceName));
+            log("debug", `[Model:${this.__instanceName}] Found ${elements.length} elements to update`);
+
+            elements.forEach((element) => {
+                mountedElements.add(element);
+                indexBinding(element);
+                if (element.hasAttribute("data-model")) bindInput(element);
+                if (element.hasAttribute("data-on")) bindEvents(element);
+                log("debug", `[Model:${this.__instanceName}] Updating element bound to ${this.__instanceName}`);
+                this.__updateElement(element);
+            });
+            return;
+        }
+
+        const paths = bindingIndex.get(this.__instanceName);
+        if (!paths) return;
+
+        // Rendering a list can index new bindings; only visit the ones that existed before
+        for (const [propertyPath, elements] of [...paths]) {
+            if (!this.__isAffected(propertyPath, changedPaths)) continue;
+
+            for (const element of elements) {
+                // Forget elements that have been removed from the page
+                if (!isAttached(element)) {
+                    elements.delete(element);
+                    continue;
+                }
+
+                log("debug", `[Model:${this.__instanceName}] Updating element with binding: ${this.__instanceName}.${propertyPath}`);
+                this.__updateElement(element, propertyPath, changedPaths);
+            }
+
+            if (elements.size === 0) {
+                paths.delete(propertyPath);
+            }
+        }
+    }
+
+    /**
+     * Check whether a binding has to be re-rendered for a set of changes
+     * @param {string} propertyPath - The bound path, e.g. "address.city"
+     * @param {Array<string>} changedPaths - Dotted paths that changed
+     * @private
+     */
+    __isAffected(propertyPath, changedPaths) {
+        const root = propertyPath.split(".")[0];
+
+        // Plain methods can read anything, so they are always refreshed
+        if (
+            !Object.prototype.hasOwnProperty.call(this, root) &&
+            !this.__computedDefinitions().has(root)
+        ) {
+            return true;
+        }
+
+        return pathsOverlap(propertyPath, changedPaths);
+    }
+
+    /**
+     * Update an element's bindings to this model
+     * @param {Element} element - The bound element
+     * @param {string} [propertyPath] - Only update the bindings to this path (all of them when omitted)
+     * @param {Array<string>} [changedPaths] - What changed (lists use it to patch only affected rows)
+     * @private
+     */
+    __updateElement(element, propertyPath, changedPaths) {
+        for (const binding of modelBindings(element)) {
+            if (binding.modelName !== this.__instanceName) continue;
+            if (propertyPath !== undefined && binding.propertyPath !== propertyPath) continue;
+
+            this.__applyBinding(element, binding, binding.propertyPath, changedPaths);
+        }
+    }
+
+    /**
+     * Render a single binding of an element
+     * @param {Element} element - The bound element
+     * @param {Object} binding - The parsed binding (see parseBindings)
+     * @param {string|number} path - The property path to read, or the row index for $index
+     * @param {Array<string>} [changedPaths] - What changed
+     * @private
+     */
+    __applyBinding(element, binding, path, changedPaths) {
+        if (binding.directive === "each") {
+            this.__renderList(element, path, changedPaths);
+            return;
+        }
+
+        const value = typeof path === "number" ? path : this.__getPropertyValue(path);
+        log("debug", `[Model:${this.__instanceName}] __getPropertyValue("${path}") returned: "${value}"`);
+
+        if (binding.directive === "bind" || binding.directive === "model") {
+            if (!binding.pipes.length) {
+                this.__setElementValue(element, value);
+                return;
+            }
+
+            // Leave fields alone while they hold the value in their own formatting
+            if (binding.directive === "model" && sameValue(parseInput(element, binding, value), value)) {
+                return;
+            }
+            this.__setElementValue(element, formatValue(binding, value));
+        } else {
+            Model.directives[binding.directive].update(element, value, binding.arg);
+        }
+    }
+
+    /**
+     * Show a value in an element (checked, value or text content depending on the element)
+     * Form fields are the reverse of readInput(): radios and checkboxes are checked by value,
+     * multi-selects select every option in an array, Dates fill date inputs. Fields that
+     * already hold the value are left alone, so typing isn't interrupted.
+     * @private
+     */
+    __setElementValue(element, value) {
+        const isField = element.tagName === "INPUT" || element.tagName === "SELECT" || element.tagName === "TEXTAREA";
+        if (isField && element.type !== "radio" && sameValue(readInput(element, value), value)) {
+            return;
+        }
+
+        if (element.type === "checkbox") {
+            const checked = Array.isArray(value) ? value.map(String).includes(element.value) : !!value;
+            log("debug", `[Model:${this.__instanceName}] Setting checkbox.checked = ${checked}`);
+            element.checked = checked;
+        } else if (element.type === "radio") {
+            log("debug", `[Model:${this.__instanceName}] Setting radio.checked = ${String(value) === element.value}`);
+            element.checked = String(value) === element.value;
+        } else if (element.type === "select-multiple") {
+            const selected = Array.isArray(value) ? value.map(String) : [];
+            log("debug", `[Model:${this.__instanceName}] Selecting options ${selected.join(", ")}`);
+            for (const option of element.options) {
+                option.selected = selected.includes(option.value);
+            }
+        } else if (element.type === "file") {
+            // Browsers only allow clearing a file input
+            if (!value || value.length === 0) {
+                element.value = "";
+            }
+        } else if (value instanceof Date && (element.type === "date" || element.type === "datetime-local")) {
+            const formatted = Number.isNaN(value.getTime())
+                ? ""
+                : element.type === "date" ? value.toISOString().slice(0, 10) : toLocalDateTime(value);
+            log("debug", `[Model:${this.__instanceName}] Setting element.value = "${formatted}"`);
+            element.value = formatted;
+        } else if (isField) {
+            log("debug", `[Model:${this.__instanceName}] Setting element.value = "${value}"`);
+            element.value = value;
+        } else {
+            log("debug", `[Model:${this.__instanceName}] Setting ${element.tagName}.textContent = "${value}"`);
+            element.textContent = value;
+        }
+    }
+
+    /**
+     * Render an array as one copy of the container's <template> per item
+     * Rows are matched to items by key (data-key="<field>", or the item itself), so
+     * existing rows are moved instead of rebuilt and only rows whose item changed are patched
+     * @param {Element} container - Element with data-each="<alias> in <model>.<path>"
+     * @param {string} propertyPath - The list's path on this model
+     * @param {Array<string>} [changedPaths] - What changed; all rows are refreshed when omitted
+     * @private
+     */
+    __renderList(container, propertyPath, changedPaths) {
+        const state = listState(container);
+        if (!state) return;
+
+        const parts = propertyPath.split(".");
+        state.model = this.__proxy;
+        state.path = parts;
+
+        // Changes below an item don't add, remove or move rows (unless the key changed)
+        const reorder = !changedPaths || changedPaths.some((changed) => {
+            if (!pathsOverlap(propertyPath, [changed])) return false;
+
+            const changedParts = changed.split(".");
+            return changedParts.length <= parts.length + 1 ||
+                (state.key !== null && changedParts[parts.length + 1] === state.key);
+        });
+
+        if (reorder) {
+            const list = this.__getPropertyValue(propertyPath);
+            const items = Array.isArray(list) ? list : [];
+            const previous = state.rows;
+            const rows = new Map();
+            const order = [];
+
+            items.forEach((item, index) => {
+                let key = listKey(item, state.key);
+                if (rows.has(key)) {
+                    // Duplicate keys can't be matched; give the row a key of its own
+                    key = Symbol("duplicate");
+                }
+
+                let row = previous.get(key);
+                if (row) {
+                    previous.delete(key);
+                    row.dirty = row.index !== index || row.item !== toRaw(item);
+                } else {
+                    row = this.__createRow(state);
+                    row.dirty = true;
+                }
+
+                row.index = index;
+                row.item = toRaw(item);
+                rows.set(key, row);
+                order.push(row);
+            });
+
+            for (const row of previous.values()) {
+                row.nodes.forEach((node) => placedNode(node).remove());
+            }
+
+            // Put the rows in order right after the template, moving only what is out of place
+            let cursor = state.template;
+            for (const row of order) {
+                if (row.nodes.length === 0) continue;
+                const nodes = row.nodes.map(placedNode);
+                if (cursor.nextSibling !== nodes[0]) {
+                    cursor.after(...nodes);
+                }
+                cursor = nodes[nodes.length - 1];
+            }
+
+            log("debug", `[Model:${this.__instanceName}] Rendered ${order.length} rows for ${propertyPath} (${previous.size} removed)`);
+            state.rows = rows;
+            state.order = order;
+        }
+
+        for (const row of state.order) {
+            this.__patchRow(row, row.dirty ? undefined : changedPaths);
+            row.dirty = false;
+        }
+    }
+
+    /**
+     * Clone a list's template and wire up its bindings
+     * Bindings to the alias (or an enclosing list's alias) and $index belong to the row;
+     * any others are regular model bindings
+     * @private
+     */
+    __createRow(state) {
+        const fragment = state.template.content.cloneNode(true);
+        const row = { nodes: [...fragment.childNodes], bindings: [], index: 0, item: undefined, dirty: true };
+        const scope = { state, row, parent: elementScopes.get(state.container) || null };
+
+        const elements = Array.from(fragment.querySelectorAll(bindingSelector()));
+        for (const element of elements) {
+            elementScopes.set(element, scope);
+            for (const binding of parseBindings(element)) {
+                if (findScope(element, binding.modelName)) {
+                    row.bindings.push({ element, binding });
+                }
+            }
+        }
+
+        elements.forEach(mountElement);
+        return row;
+    }
+
+    /**
+     * Render a row's own bindings
+     * @param {Object} row - The row (see __createRow)
+     * @param {Array<string>} [changedPaths] - Only bindings whose item changed are rendered; all when omitted
+     * @private
+     */
+    __patchRow(row, changedPaths) {
+        for (const { element, binding } of row.bindings) {
+            const { model, parts, index, itemPath } = resolveBinding(element, binding);
+
+            // Nested lists decide for themselves which of their rows changed
+            if (
+                changedPaths &&
+                binding.directive !== "each" &&
+                (model !== this.__proxy || !pathsOverlap(itemPath, changedPaths))
+            ) {
+                continue;
+            }
+
+            model.__applyBinding(element, binding, parts ? parts.join(".") : index, changedPaths);
+        }
+    }
+
+    /**
+     * Write a value by path through the reactive proxy (e.g. from a two-way binding)
+     * @param {Array<string>} parts - Path segments, e.g. ["items", "0", "title"]
+     * @param {*} value
+     * @private
+     */
+    __writePath(parts, value) {
+        const parent = parts.length > 1 ? this.__readPath(parts.slice(0, -1)) : this.__proxy;
+        const property = parts[parts.length - 1];
+
+        if (parent == null || typeof parent !== "object") {
+            log("warn", `Cannot set ${this.__instanceName}.${parts.join(".")}: ${parts.slice(0, -1).join(".")} is not an object`);
+            return;
+        }
+
+        if (parent instanceof Map) {
+            parent.set(property, value);
+        } else {
+            parent[property] = value;
+        }
+    }
+
+    /**
+     * Get a property value from the model (supports methods and nested properties)
+     * @param {string} propertyPath - Just the property path, e.g., "name" or "fullName" (without model name)
+     * @private
+     */
+    __getPropertyValue(propertyPath) {
+        const parts = propertyPath.split(".");
+
+        // Go through the proxy so computed properties are served from their cache
+        let value = this.__proxy;
+
+        for (const part of parts) {
+            if (value == null) return "";
+
+            // Check if it's a method call (no parentheses in binding, but we call it)
+            if (typeof value[part] === "function") {
+                value = value[part]();
+            } else {
+                value = value[part];
+            }
+        }
+
+        return value ?? "";
+    }
+
+    /**
+     * Fetch model data from the API endpoint and populate the model
+     * @param {Object} [options] - Request options (see __request)
+     * @returns {Promise<void>}
+     */
+    async get(options = {}) {
+        // The server rendered this state moments ago; don't ask for it again
+        if (this.__requests.hydrated) {
+            this.__requests.hydrated = false;
+            log("info", `[Model:${this.__instanceName}] Using hydrated state instead of GET`);
+            return;
+        }
+
+        await this.__sync("GET", options);
+    }
+
+    /**
+     * POST the current model state to the API endpoint
+     * @param {Object} [options] - Request options (see __request)
+     * @returns {Promise<void>}
+     */
+    async post(options = {}) {
+        const { validate = true, ...requestOptions } = options;
+        if (validate) await this.__assertValid("post");
+
+        await this.__sync("POST", { ...requestOptions, body: this.__payload() });
+    }
+
+    /**
+     * PUT the current model state to the API endpoint (full replacement)
+     * @param {Object} [options] - Request options (see __request)
+     * @returns {Promise<void>}
+     */
+    async put(options = {}) {
+        const { validate = true, ...requestOptions } = options;
+        if (validate) await this.__assertValid("put");
+
+        await this.__sync("PUT", { ...requestOptions, body: this.__payload() });
+    }
+
+    /**
+     * PATCH the API endpoint with only the fields changed since the last sync
+     * Sends the full payload if the model has never been synced; skips the request if nothing changed
+     * @param {Object} [options] - Request options (see __request)
+     * @returns {Promise<void>}
+     */
+    async patch(options = {}) {
+        const { validate = true, ...requestOptions } = options;
+        const body = this.__changedPayload();
+        if (Object.keys(body).length === 0) {
+            log("info", `[Model:${this.__instanceName}] Nothing changed since last sync, skipping PATCH`);
+            return;
+        }
+        if (validate) await this.__assertValid("patch");
+
+        await this.__sync("PATCH", { ...requestOptions, body });
+    }
+
+    /**
+     * DELETE the resource at the API endpoint
+     * @param {Object} [options] - Request options (see __request)
+     * @returns {Promise<void>}
+     */
+    async delete(options = {}) {
+        await this.__sync("DELETE", options);
+        this.__synced = null;
+    }
+
+    /**
+     * Send a request, track it in $loading/$error/$lastSyncedAt and copy the response onto the model
+     * A new get() aborts the previous one if it is still running
+     * @private
+     */
+    async __sync(method, options) {
+        if (!this.__endpoint()) {
+            log("warn",
+                `Model ${this.__instanceName} has no endpoint defined for ${method.toLowerCase()}()`
+            );
+            return;
+        }
+
+        const controller = createAbortController();
+        const { signal } = options;
+        const abort = () => controller.abort(signal.reason);
+        if (signal) {
+            if (signal.aborted) abort();
+            signal.addEventListener("abort", abort, { once: true });
+        }
+
+        if (method === "GET") {
+            if (this.__requests.get) {
+                log("debug", `[Model:${this.__instanceName}] Aborting superseded GET`);
+                this.__requests.get.abort();
+            }
+            this.__requests.get = controller;
+        }
+
+        this.__requests.active++;
+        this.$loading = true;
+        this.$error = null;
+
+        try {
+            const data = await this.__request(method, { ...options, signal: controller.signal });
+
+            // A response that arrives after an abort must not overwrite newer state
+            if (controller.signal.aborted) throw controller.signal.reason;
+
+            withSource("http", () => this.__applyResponse(data));
+
+            if (method !== "DELETE") {
+                this.__markSynced();
+            }
+            this.$lastSyncedAt = new Date();
+
+            // What the server has is no longer an unsaved edit
+            this.$dirty = {};
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                this.$error = error.message;
+                log("error", `Failed to ${method.toLowerCase()} model ${this.__instanceName}`, error);
+            }
+            throw error;
+        } finally {
+            if (signal) signal.removeEventListener("abort", abort);
+            if (this.__requests.get === controller) {
+                this.__requests.get = null;
+            }
+            this.__requests.active--;
+            this.$loading = this.__requests.active > 0;
+        }
+    }
+
+    /**
+     * Check every field with rules, marking them touched so their errors show
+     * @param {string} [field] - Only check this field
+     * @returns {Promise<boolean>} Whether the model (or the field) is valid
+     */
+    async validate(field) {
+        const fields = field ? [field] : [...this.__rules().keys()];
+        for (const name of fields) {
+            if (!this.$touched[name]) this.$touched[name] = true;
+        }
+
+        const results = await Promise.all(fields.map((name) => this.__validateField(name)));
+        return results.every(Boolean);
+    }
+
+    /**
+     * The `static rules` of this model's class, as field -> list of validators
+     * @returns {Map<string, Array<Function>>}
+     * @private
+     */
+    __rules() {
+        const ModelClass = this.constructor;
+        if (ruleDefinitions.has(ModelClass)) {
+            return ruleDefinitions.get(ModelClass);
+        }
+
+        const rules = new Map();
+        for (const [field, validators] of Object.entries(ModelClass.rules || {})) {
+            const list = [].concat(validators).filter((validator) => {
+                if (typeof validator === "function") return true;
+                log("warn", `[Model] ${ModelClass.name}.rules.${field} contains a validator that is not a function`);
+                return false;
+            });
+            rules.set(field, list);
+        }
+
+        ruleDefinitions.set(ModelClass, rules);
+        return rules;
+    }
+
+    /**
+     * Run a field's validators in order and record the first error in $errors
+     * Asynchronous validators are awaited; if the field changes meanwhile the stale result is dropped
+     * @param {string} field - A field listed in `static rules`
+     * @returns {Promise<boolean>} Whether the field is valid
+     * @private
+     */
+    __validateField(field) {
+        const validators = this.__rules().get(field) || [];
+        const proxy = this.__proxy;
+        const run = (this.__validations.get(field) || 0) + 1;
+        this.__validations.set(field, run);
+
+        const value = proxy[field];
+        const settle = (message) => {
+            if (this.__validations.get(field) === run) {
+                this.__setError(field, message);
+            }
+            return !(field in this.$errors);
+        };
+        const failed = (error) => {
+            log("error", `Failed to validate ${this.__instanceName}.${field}`, error);
+            return settle(error.message);
+        };
+
+        const check = (index) => {
+            try {
+                for (let i = index; i < validators.length; i++) {
+                    const result = validators[i].call(proxy, value, proxy, field);
+                    if (isThenable(result)) {
+                        return Promise.resolve(result).then((resolved) => {
+                            const message = validationMessage(resolved);
+                            return message === null ? check(i + 1) : settle(message);
+                        }, failed);
+                    }
+
+                    const message = validationMessage(result);
+                    if (message !== null) return settle(message);
+                }
+                return settle(null);
+            } catch (error) {
+                return failed(error);
+            }
+        };
+
+        return Promise.resolve(check(0));
+    }
+
+    /**
+     * Record (or clear) a field's error and update $valid
+     * @private
+     */
+    __setError(field, message) {
+        const proxy = this.__proxy;
+        if (message === null) {
+            if (field in this.$errors) delete proxy.$errors[field];
+        } else if (this.$errors[field] !== message) {
+            proxy.$errors[field] = message;
+        }
+
+        const valid = Object.keys(this.$errors).length === 0;
+        if (this.$valid !== valid) {
+            proxy.$valid = valid;
+        }
+    }
+
+    /**
+     * The `static schema` of this model's class, as field -> definition
+     * @returns {Map<string, Object>}
+     * @private
+     */
+    __schema() {
+        return schemaOf(this.constructor);
+    }
+
+    /**
+     * Convert a value for a field (or a nested path) to its declared type
+     * Undeclared paths are left alone; a declared field without a schema default falls back
+     * to its class default when set to undefined
+     * @param {Array<string>} parts - Path segments, e.g. ["address", "zip"]
+     * @param {*} value
+     * @returns {*} The converted value
+     * @throws {Error} A SchemaError (with path and value) if the value doesn't fit
+     * @private
+     */
+    __coerce(parts, value) {
+        const schema = this.__schema();
+        if (schema.size === 0) return value;
+
+        const field = schemaField(schema, parts);
+        if (!field) return value;
+
+        if (
+            value === undefined &&
+            parts.length === 1 &&
+            !("default" in field) &&
+            Object.prototype.hasOwnProperty.call(this.__defaults, parts[0])
+        ) {
+            return cloneState(this.__defaults[parts[0]]);
+        }
+        return coerceValue(value, field, parts.join("."));
+    }
+
+    /**
+     * Coerce incoming fields (from storage, another tab or the server);
+     * the ones that don't fit the schema are left out and reported
+     * @private
+     */
+    __coerceIncoming(data, source) {
+        if (this.__schema().size === 0) return data;
+
+        const accepted = {};
+        for (const key in data) {
+            try {
+                accepted[key] = this.__coerce([key], data[key]);
+            } catch (error) {
+                if (error.name !== "SchemaError") throw error;
+                this.__schemaFailed(error, source);
+            }
+        }
+        return accepted;
+    }
+
+    /**
+     * Report a value the schema rejected: logged, and shown in $errors under its field
+     * @private
+     */
+    __schemaFailed(error, source) {
+        log("warn", `[Model:${this.__instanceName}] Rejected ${error.path} from ${source}: ${error.message}`, error.value);
+
+        const field = error.path.split(".")[0];
+        if (this.__proxy) {
+            this.__setError(field, error.message);
+        } else {
+            // Still being constructed
+            this.$errors[field] = error.message;
+            this.$valid = false;
+        }
+    }
+
+    /**
+     * Refuse to send an invalid model: validate and throw if any rule fails
+     * @private
+     */
+    async __assertValid(action) {
+        if (this.__rules().size === 0 || await this.validate()) return;
+
+        const error = new Error(`Model ${this.__instanceName} is invalid, not sending ${action}()`);
+        error.errors = { ...this.$errors };
+        this.$error = error.message;
+        log("warn", error.message, error.errors);
+        throw error;
+    }
+
+    /**
+     * Copy a response body onto the model's existing fields
+     * @param {*} data - The parsed response
+     * @private
+     */
+    __applyResponse(data) {
+        if (!data || typeof data !== "object") return;
+
+        data = this.__coerceIncoming(data, "the server");
+        for (const key in data) {
+            if (!key.startsWith("__") && this.hasOwnProperty(key)) {
+                this[key] = data[key];
+            }
+        }
+    }
+
+    /**
+     * The endpoint template used for requests
+     * Collection items without an endpoint of their own use "<collection endpoint>/:id"
+     * @private
+     */
+    __endpoint() {
+        if (this.endpoint) return this.endpoint;
+
+        const collection = this.__collection;
+        if (collection && collection.endpoint) {
+            return `${collection.endpoint.replace(/\/$/, "")}/:id`;
+        }
+        return undefined;
+    }
+
+    /**
+     * Perform an HTTP request against the model's endpoint
+     * Options are merged from Model.http, the class's `static http` and the call itself
+     * @param {string} method - HTTP method
+     * @param {Object} [options]
+     * @param {Object} [options.body] - JSON body
+     * @param {Object} [options.params] - Query parameters
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {string} [options.credentials] - fetch() credentials mode
+     * @param {string|Function} [options.token] - Bearer token, or a (possibly async) function returning one
+     * @param {AbortSignal} [options.signal] - Aborts the request (and any pending retry)
+     * @param {number} [options.timeout] - Milliseconds before an attempt is aborted
+     * @param {number} [options.retries=0] - Extra attempts after network errors, timeouts and 5xx responses
+     * @param {number} [options.retryDelay=300] - Milliseconds before the first retry; doubles for each one after
+     * @returns {Promise<*>} The parsed JSON response (null for empty responses)
+     * @private
+     */
+    async __request(method, options = {}) {
+        const {
+            body, params, headers, credentials, token,
+            signal, timeout, retries = 0, retryDelay = 300,
+            ...fetchOptions
+        } = this.__httpOptions(options);
+
+        const requestHeaders = { "Content-Type": "application/json", ...headers };
+        const authToken = typeof token === "function" ? await token.call(this) : token;
+        if (authToken) {
+            requestHeaders.Authorization = `Bearer ${authToken}`;
+        }
+
+        const request = {
+            model: this.__proxy,
+            method,
+            url: this.__resolveEndpoint(method, params),
+            init: {
+                ...fetchOptions,
+                method,
+                headers: requestHeaders,
+                ...(credentials ? { credentials } : {}),
+                ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+            },
+        };
+
+        // Plugins may add headers or rewrite the URL (throwing cancels the request)
+        for (const plugin of this.__plugins("beforeRequest")) {
+            await plugin.beforeRequest(request);
+        }
+        const { url, init } = request;
+
+        let data;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                log("info", `[Model:${this.__instanceName}] ${method} ${url}`);
+                data = await this.__fetch(url, init, { signal, timeout });
+                break;
+            } catch (error) {
+                const retryable = !(signal && signal.aborted) && (
+                    error instanceof TypeError ||
+                    error.name === "TimeoutError" ||
+                    error.status >= 500
+                );
+                if (!retryable || attempt >= retries) throw error;
+
+                const delay = retryDelay * 2 ** attempt;
+                log("info", `[Model:${this.__instanceName}] ${method} ${url} failed (${error.message}), retrying in ${delay}ms`);
+                await wait(delay, signal);
+            }
+        }
+
+        // Plugins may reshape the response before it is applied
+        const response = { model: this.__proxy, method, url, data };
+        for (const plugin of this.__plugins("afterResponse")) {
+            await plugin.afterResponse(response);
+        }
+        return response.data;
+    }
+
+    /**
+     * One fetch() attempt with an optional timeout
+     * @returns {Promise<*>} The parsed JSON response (null for empty responses)
+     * @private
+     */
+    async __fetch(url, init, { signal, timeout }) {
+        const controller = createAbortController();
+        const abort = () => controller.abort(signal.reason);
+        if (signal) {
+            if (signal.aborted) abort();
+            signal.addEventListener("abort", abort, { once: true });
+        }
+
+        let timedOut = false;
+        const timer = timeout
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout)
+            : null;
+
+        try {
+            let response;
+            if (typeof AbortController !== "undefined") {
+                response = await fetch(url, { ...init, signal: controller.signal });
+            } else {
+                // fetch() only takes a real AbortSignal, so race it against the stand-in
+                response = await Promise.race([
+                    fetch(url, init),
+                    new Promise((resolve, reject) => {
+                        controller.signal.addEventListener("abort", () => reject(controller.signal.reason));
+                    }),
+                ]);
+            }
+
+            if (!response.ok) {
+                const error = new Error(`HTTP error! status: ${response.status}`);
+                error.status = response.status;
+                error.response = response;
+                throw error;
+            }
+
+            const text = await response.text();
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            if (timedOut) {
+                const timeoutError = new Error(`Request timed out after ${timeout}ms`);
+                timeoutError.name = "TimeoutError";
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener("abort", abort);
+        }
+    }
+
+    /**
+     * Merge request options from Model.http, each class's own `static http`, and the call
+     * Headers are merged rather than replaced
+     * @private
+     */
+    __httpOptions(options) {
+        const layers = [];
+        for (let ModelClass = this.constructor; ModelClass && ModelClass !== Function.prototype; ModelClass = Object.getPrototypeOf(ModelClass)) {
+            if (Object.prototype.hasOwnProperty.call(ModelClass, "http")) {
+                layers.unshift(ModelClass.http);
+            }
+        }
+        layers.push(options);
+
+        return layers.reduce((merged, layer) => ({
+            ...merged,
+            ...layer,
+            headers: { ...merged.headers, ...(layer && layer.headers) },
+            params: { ...merged.params, ...(layer && layer.params) },
+        }), {});
+    }
+
+    /**
+     * Fill `:name` placeholders in the endpoint from model fields and append query parameters
+     * For POST (and a collection's GET) a placeholder whose field is null or undefined is dropped
+     * together with its leading "/", so "/api/users/:id" becomes "/api/users" for a record that
+     * has no id yet. Other methods would hit the wrong resource that way, so they throw instead.
+     * @param {string} method - HTTP method
+     * @param {Object} [params] - Query parameters
+     * @private
+     */
+    __resolveEndpoint(method, params = {}) {
+        const canDrop = method === "POST" || (method === "GET" && this instanceof Collection);
+
+        let url = this.__endpoint().replace(/\/?:([A-Za-z_$][\w$]*)/g, (placeholder, name) => {
+            const value = this[name];
+            if (value == null) {
+                if (canDrop) return "";
+
+                const error = new Error(`Model ${this.__instanceName} has no ${name}, not sending ${method.toLowerCase()}()`);
+                error.field = name;
+                throw error;
+            }
+
+            const prefix = placeholder.startsWith("/") ? "/" : "";
+            return `${prefix}${encodeURIComponent(value)}`;
+        });
+
+        const query = new URLSearchParams();
+        for (const [key, value] of Object.entries(params)) {
+            if (value != null) {
+                query.append(key, value);
+            }
+        }
+
+        const queryString = query.toString();
+        if (queryString) {
+            url += (url.includes("?") ? "&" : "?") + queryString;
+        }
+
+        return url;
+    }
+
+    /**
+     * Serialize only public properties (exclude __ prefixed, methods and endpoint)
+     * @private
+     */
+    __payload() {
+        const payload = {};
+        for (const key in this) {
+            if (
+                !key.startsWith("__") &&
+                typeof this[key] !== "function" &&
+                key !== "endpoint"
+            ) {
+                payload[key] = this[key];
+            }
+        }
+        return payload;
+    }
+
+    /**
+     * The payload fields that differ from what the server last saw
+     * @private
+     */
+    __changedPayload() {
+        const payload = this.__payload();
+        if (!this.__synced) return payload;
+
+        const changed = {};
+        for (const key in payload) {
+            if (Model.serialize(payload[key]) !== this.__synced[key]) {
+                changed[key] = payload[key];
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * The state Model.serializeState() sends to the client
+     * @private
+     */
+    __stateData() {
+        return this.__payload();
+    }
+
+    /**
+     * Remember the current payload as what the server last saw
+     * Values are kept serialized, so later mutations can't leak into the baseline
+     * @private
+     */
+    __markSynced() {
+        const synced = {};
+        const payload = this.__payload();
+        for (const key in payload) {
+            synced[key] = Model.serialize(payload[key]);
+        }
+        this.__synced = synced;
+
+        this.__pending.paths.add("isDirty");
+        scheduleFlush(this);
+    }
+
+    /**
+     * What changes() compares against: the last synced payload, or the class
+     * defaults if the model was never synced (serialized like __synced)
+     * @private
+     */
+    __baseline() {
+        if (this.__synced) return this.__synced;
+
+        const defaults = {};
+        for (const key in this.__defaults) {
+            defaults[key] = Model.serialize(this.__defaults[key]);
+        }
+        return defaults;
+    }
+
+    /**
+     * The fields that differ from what the server last saw (or, before the first
+     * request, from the class defaults)
+     * @returns {Object} Field -> { from, to }
+     */
+    changes() {
+        const baseline = this.__baseline();
+        const payload = this.__payload();
+        const changes = {};
+
+        for (const key of new Set([...Object.keys(baseline), ...Object.keys(payload)])) {
+            const current = key in payload ? Model.serialize(payload[key]) : undefined;
+            if (current !== baseline[key]) {
+                changes[key] = {
+                    from: baseline[key] === undefined ? undefined : Model.deserialize(baseline[key]),
+                    to: cloneState(payload[key]),
+                };
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Whether any field differs from what the server last saw (bindable: data-show="user.isDirty")
+     */
+    get isDirty() {
+        return Object.keys(this.changes()).length > 0;
+    }
+
+    /**
+     * Throw away unsaved changes: put the fields back to what the server last saw
+     * (or to the class defaults before the first request)
+     */
+    revert() {
+        const baseline = this.__baseline();
+        const values = {};
+        for (const key in baseline) {
+            values[key] = Model.deserialize(baseline[key]);
+        }
+
+        log("info", `[Model:${this.__instanceName}] Reverting unsaved changes`);
+        this.restore(values);
+        this.$dirty = {};
+    }
+
+    /**
+     * Accept the current state as saved without a request (e.g. after saving another way)
+     */
+    markClean() {
+        this.__markSynced();
+        this.$dirty = {};
+    }
+
+    /**
+     * Take the model off the page: unbind its elements, drop its subscribers,
+     * stop syncing and unregister it. Pending changes are persisted first.
+     * @param {Object} [options]
+     * @param {boolean} [options.clearStorage=false] - Delete the stored snapshot instead
+     */
+    dispose({ clearStorage = false } = {}) {
+        if (this.__lifecycle.disposed) return;
+
+        log("info", `[Model:${this.__instanceName}] Disposing${clearStorage ? " and clearing storage" : ""}`);
+        this.__hook("onDispose");
+
+        if (clearStorage && this.__storage) {
+            this.__discardStored();
+        } else {
+            this.__flush();
+        }
+        this.__lifecycle.disposed = true;
+
+        // Unbind while the bindings still resolve to this model
+        const unbound = new Set();
+        if (typeof document !== "undefined") {
+            const elements = new Set(queryMounted(bindingSelector())
+                .filter((element) => isBoundTo(element, this.__instanceName)));
+            for (const bound of (bindingIndex.get(this.__instanceName) || new Map()).values()) {
+                bound.forEach((element) => elements.add(element));
+            }
+            for (const element of elements) {
+                // A list's rows go with it
+                (element.hasAttribute("data-each") ? boundIn(element) : [element]).forEach((node) => {
+                    unmountElement(node);
+                    unbound.add(node);
+                });
+            }
+        }
+        bindingIndex.delete(this.__instanceName);
+
+        if (modelRegistry.get(this.__instanceName) === this.__proxy) {
+            modelRegistry.delete(this.__instanceName);
+        }
+
+        // Elements also bound to other models stay wired up to those
+        for (const element of unbound) {
+            if (element.isConnected && modelBindings(element).some(({ modelName }) => modelRegistry.has(modelName))) {
+                mountElement(element);
+            }
+        }
+        if (syncedModels.get(this.__instanceName) === this.__proxy) {
+            syncedModels.delete(this.__instanceName);
+        }
+        if (this.__lifecycle.scope !== null) {
+            scopedModels--;
+        }
+
+        // Stop following the models its computed properties read
+        for (const entry of this.__computed.values()) {
+            for (const model of entry.deps.keys()) {
+                const dependents = computedDependents.get(model);
+                if (dependents) dependents.delete(this);
+            }
+        }
+        computedDependents.delete(this);
+
+        this.__handlers.clear();
+        if (this.__requests.get) {
+            this.__requests.get.abort();
+        }
+
+        // A collection stops seeing its item's changes
+        const unsubscribe = itemSubscriptions.get(this.__proxy);
+        if (unsubscribe) {
+            unsubscribe();
+            itemSubscriptions.delete(this.__proxy);
+        }
+    }
+
+    /**
+     * What Model.inspect() reports about this model
+     * @private
+     */
+    __inspect() {
+        const bindings = {};
+        for (const [path, elements] of bindingIndex.get(this.__instanceName) || []) {
+            bindings[path] = elements.size;
+        }
+
+        let subscribers = 0;
+        this.__handlers.forEach((handlers) => {
+            subscribers += handlers.size;
+        });
+
+        return {
+            name: this.__instanceName,
+            className: this.constructor.name,
+            scope: this.__lifecycle.scope,
+            state: cloneState(this.__payload()),
+            status: {
+                $loading: this.$loading,
+                $error: this.$error,
+                $lastSyncedAt: this.$lastSyncedAt,
+                $valid: this.$valid,
+                $errors: { ...this.$errors },
+                $dirty: { ...this.$dirty },
+                $touched: { ...this.$touched },
+            },
+            bindings,
+            subscribers,
+            storageKey: this.__storage ? `model:${this.__instanceName}` : null,
+        };
+    }
+
+    /**
+     * The plugins installed for this model's class that define a hook, global ones first
+     * @param {string} hook - e.g. "beforeSet"
+     * @returns {Array<Object>}
+     * @private
+     */
+    __plugins(hook) {
+        const plugins = [];
+        for (let ModelClass = this.constructor; ModelClass && ModelClass !== Function.prototype; ModelClass = Object.getPrototypeOf(ModelClass)) {
+            const installed = classPlugins.get(ModelClass);
+            if (installed) {
+                plugins.unshift(...installed.filter((plugin) => typeof plugin[hook] === "function"));
+            }
+        }
+        return plugins;
+    }
+
+    /**
+     * Run a synchronous plugin hook with a context
+     * @returns {boolean|undefined} false if a plugin vetoed
+     * @private
+     */
+    __runPlugins(hook, context) {
+        for (const plugin of this.__plugins(hook)) {
+            if (plugin[hook](context) === false) return false;
+        }
+        return undefined;
+    }
+
+    /**
+     * Let beforeSet plugins see an assignment
+     * @returns {Object|null} The context with the (possibly transformed) value, or null if vetoed
+     * @private
+     */
+    __beforeSet(path, value, oldValue) {
+        const context = { model: this.__proxy, path: path.join("."), value, oldValue };
+        if (this.__runPlugins("beforeSet", context) === false) {
+            log("info", `[Model:${this.__instanceName}] A plugin vetoed setting ${context.path}`);
+            return null;
+        }
+        return context;
+    }
+
+    /**
+     * Tell afterSet plugins about a change; errors are logged so the update goes on
+     * @private
+     */
+    __afterSet(path, value, oldValue) {
+        const context = { model: this.__proxy, path: path.join("."), value, oldValue };
+        for (const plugin of this.__plugins("afterSet")) {
+            try {
+                plugin.afterSet(context);
+            } catch (error) {
+                log("error", `[Model:${this.__instanceName}] afterSet of plugin ${plugin.name || "(unnamed)"} failed`, error);
+            }
+        }
+    }
+
+    /**
+     * Call a lifecycle hook (onCreate, onRestore, onChange, onDispose) if the class defines it
+     * A hook that throws is logged rather than breaking the model
+     * @private
+     */
+    __hook(name, ...args) {
+        if (typeof this[name] !== "function") return;
+
+        try {
+            this[name].apply(this.__proxy, args);
+        } catch (error) {
+            log("error", `[Model:${this.__instanceName}] ${name} failed`, error);
+        }
+    }
+}
+
+/**
+ * A list of records, each one a Model of its own
+ * Items are persisted individually (under "<collection name>:<key>"); the collection
+ * only stores which items it holds. With an endpoint like "/api/todos", fetch()
+ * loads the list and items use "/api/todos/:id" unless they define an endpoint.
+ *
+ * class TodoList extends Collection {
+ *     static model = Todo;
+ *     endpoint = "/api/todos";
+ * }
+ */
+class Collection extends Model {
+    /**
+     * The Model class items are created from
      */
-    constructor(instanceName) {
-        // Store metadata
-        Object.defineProperty(this, "__instanceName", {
-            value: instanceName,
+    static model = Model;
+
+    items = [];
+
+    /**
+     * Load the list from the endpoint
+     * Existing items are updated by id, new records are added and missing ones removed
+     * @param {Object} [options] - Request options (see Model#__request)
+     * @returns {Promise<void>}
+     */
+    async fetch(options = {}) {
+        await this.get(options);
+    }
+
+    /**
+     * Add an item
+     * @param {Object|Model} [item] - A model of the collection's class, or the fields for a new one
+     * @returns {Model} The added item
+     */
+    add(item = {}) {
+        if (!(item instanceof this.constructor.model)) {
+            item = this.__createItem(item);
+        }
+
+        if (!this.items.includes(item)) {
+            this.__adopt(item);
+            this.items.push(item);
+        }
+        return item;
+    }
+
+    /**
+     * Add an item and POST it to the server
+     * The item is removed again if the request fails
+     * @param {Object|Model} [item] - A model of the collection's class, or the fields for a new one
+     * @param {Object} [options] - Request options (see Model#__request)
+     * @returns {Promise<Model>} The created item, updated from the response
+     */
+    async create(item = {}, options = {}) {
+        item = this.add(item);
+        try {
+            await item.post(options);
+        } catch (error) {
+            this.remove(item);
+            throw error;
+        }
+        return item;
+    }
+
+    /**
+     * Remove an item and delete its stored snapshot
+     * @param {Model|Function|Object|*} target - The item, or a query as accepted by find()
+     * @returns {Model|undefined} The removed item
+     */
+    remove(target) {
+        const item = target instanceof Model ? target : this.find(target);
+        const index = item ? this.items.indexOf(item) : -1;
+        if (index === -1) return undefined;
+
+        this.items.splice(index, 1);
+        this.__release(item, { discard: true });
+        return item;
+    }
+
+    /**
+     * DELETE an item on the server, then remove it
+     * @param {Model|Function|Object|*} target - The item, or a query as accepted by find()
+     * @param {Object} [options] - Request options (see Model#__request)
+     * @returns {Promise<Model|undefined>} The removed item
+     */
+    async destroy(target, options = {}) {
+        const item = target instanceof Model ? target : this.find(target);
+        if (!item) return undefined;
+
+        await item.delete(options);
+        return this.remove(item);
+    }
+
+    /**
+     * Find the first matching item
+     * @param {Function|Object|*} query - A predicate, an object of field values, or an id
+     * @returns {Model|undefined}
+     */
+    find(query) {
+        return this.items.find(createMatcher(query));
+    }
+
+    /**
+     * All matching items
+     * @param {Function|Object} query - A predicate, or an object of field values
+     * @returns {Array<Model>}
+     */
+    filter(query) {
+        return this.items.filter(createMatcher(query));
+    }
+
+    /**
+     * Reorder the items
+     * @param {Function|string} compare - A comparison function, or a field name to sort by
+     * @returns {Array<Model>} The sorted items
+     */
+    sort(compare) {
+        if (typeof compare === "string") {
+            const key = compare;
+            compare = (a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0);
+        }
+
+        // One assignment instead of a change per moved index
+        this.items = [...this.items].sort(compare);
+        return this.items;
+    }
+
+    /**
+     * Create an item model (restored from storage if it was persisted before)
+     * @param {Object} fields - Values for the item's fields
+     * @param {string} [key] - The item's key, for items that already exist
+     * @private
+     */
+    __createItem(fields, key = createItemKey()) {
+        const ItemModel = this.constructor.model;
+        const item = new ItemModel(`${this.__instanceName}:${key}`);
+        this.__assign(item, fields);
+        return item;
+    }
+
+    /**
+     * Copy a record onto an item; unlike get(), fields the item doesn't declare are added too
+     * @private
+     */
+    __assign(item, fields) {
+        for (const field in fields) {
+            if (!field.startsWith("__")) {
+                item[field] = fields[field];
+            }
+        }
+    }
+
+    /**
+     * Dispose the collection and every item in it
+     * @param {Object} [options] - See Model#dispose
+     */
+    dispose(options = {}) {
+        if (this.__lifecycle.disposed) return;
+
+        for (const item of this.items) {
+            this.__release(item);
+            item.dispose(options);
+        }
+        super.dispose(options);
+    }
+
+    /**
+     * Link an item to the collection: it inherits the endpoint and its changes
+     * are seen by the collection's subscribers, computeds and bindings as "items.<index>.<path>"
+     * @private
+     */
+    __adopt(item) {
+        if (itemSubscriptions.has(item)) return;
+
+        Object.defineProperty(item, "__collection", {
+            value: this,
             enumerable: false,
-            writable: false,
+            configurable: true,
         });
 
-        Object.defineProperty(this, "__handlers", {
-            value: new Map(),
-            enumerable: false,
-            writable: false,
+        const unsubscribe = item.on("*", (value, oldValue, path) => {
+            const index = this.items.indexOf(item);
+            if (index !== -1) {
+                forwardingChanges++;
+                try {
+                    this.__handleChange(["items", String(index), ...path.split(".")], value, oldValue);
+                } finally {
+                    forwardingChanges--;
+                }
+            }
+        });
+        itemSubscriptions.set(item, unsubscribe);
+    }
+
+    /**
+     * Unlink an item from the collection
+     * @param {Model} item
+     * @param {Object} [options]
+     * @param {boolean} [options.discard=false] - Also delete the item's stored snapshot
+     * @private
+     */
+    __release(item, { discard = false } = {}) {
+        const unsubscribe = itemSubscriptions.get(item);
+        if (unsubscribe) {
+            unsubscribe();
+            itemSubscriptions.delete(item);
+        }
+
+        if (discard && item.__storage) {
+            // Write out anything pending first, so a later flush can't bring it back
+            item.__flush();
+            item.__discardStored();
+        }
+
+        if (modelRegistry.get(item.__instanceName) === item) {
+            modelRegistry.delete(item.__instanceName);
+        }
+    }
+
+    /**
+     * The items' instance names stand in for the items themselves
+     * @private
+     */
+    __snapshotData() {
+        const data = super.__snapshotData();
+        if (Array.isArray(data.items)) {
+            data.items = data.items.map((item) => item.__instanceName);
+        }
+        return data;
+    }
+
+    /**
+     * Items are serialized as models of their own; the collection lists their names
+     * @private
+     */
+    __stateData() {
+        const data = super.__stateData();
+        if (Array.isArray(data.items)) {
+            data.items = data.items.map((item) => item.__instanceName);
+        }
+        return data;
+    }
+
+    /**
+     * Turn the stored item names back into models (reusing the ones already loaded)
+     * @private
+     */
+    __applySnapshot(data, target, source) {
+        if (data && Array.isArray(data.items)) {
+            const current = this.items || [];
+            const prefix = `${this.__instanceName}:`;
+            const items = data.items.map((name) => {
+                const existing = current.find((item) => item.__instanceName === name);
+                if (existing) return existing;
+
+                const item = this.__createItem({}, name.slice(prefix.length));
+                this.__adopt(item);
+                return item;
+            });
+
+            for (const item of current) {
+                if (!items.includes(item)) {
+                    this.__release(item);
+                }
+            }
+
+            data = { ...data, items };
+        }
+
+        super.__applySnapshot(data, target, source);
+    }
+
+    /**
+     * The collection is ready once every restored item is
+     * @private
+     */
+    __restore() {
+        return super.__restore().then(() => Promise.all((this.items || []).map((item) => item.$ready))).then(() => {});
+    }
+
+    /**
+     * An array response replaces the list: items are matched by id
+     * @private
+     */
+    __applyResponse(data) {
+        if (!Array.isArray(data)) {
+            super.__applyResponse(data);
+            return;
+        }
+
+        const items = data.map((record) => {
+            let item = record && record.id != null ? this.find(record.id) : undefined;
+            if (item) {
+                this.__assign(item, record);
+            } else {
+                item = this.__createItem(record);
+                this.__adopt(item);
+            }
+
+            item.__markSynced();
+            item.$lastSyncedAt = new Date();
+            return item;
+        });
+
+        for (const item of this.items) {
+            if (!items.includes(item)) {
+                this.__release(item, { discard: true });
+            }
+        }
+
+        this.items = items;
+    }
+}
+
+// Track which elements are already bound to prevent duplicate listeners
+const boundElements = new WeakSet();
+
+/**
+ * Queue a model for the next flush (a microtask, unless inside batch())
+ * @private
+ */
+function scheduleFlush(model) {
+    pendingModels.add(model);
+
+    if (flushScheduled || batchDepth > 0) return;
+    flushScheduled = true;
+    queueMicrotask(() => {
+        if (flushScheduled && batchDepth === 0) {
+            Model.flush();
+        }
+    });
+}
+
+/**
+ * Start sharing a model's changes with other tabs
+ * Uses a BroadcastChannel, or the `storage` event (localStorage only) where that's missing
+ * @private
+ */
+function registerSync(model) {
+    syncedModels.set(model.__instanceName, model.__proxy);
+    if (syncStarted) return;
+    syncStarted = true;
+
+    if (typeof BroadcastChannel !== "undefined") {
+        syncChannel = new BroadcastChannel("simple-state-library");
+        syncChannel.onmessage = ({ data }) => {
+            const target = data && syncedModels.get(data.name);
+            if (target) target.__receiveRemote(data.snapshot);
+        };
+
+        // Don't keep Node processes alive just for this
+        if (typeof syncChannel.unref === "function") syncChannel.unref();
+    } else if (typeof window !== "undefined") {
+        window.addEventListener("storage", (event) => {
+            const name = event.key && event.key.startsWith("model:") ? event.key.slice(6) : null;
+            const target = name && syncedModels.get(name);
+            if (target && event.newValue) target.__receiveRemote(event.newValue);
+        });
+    }
+}
+
+/**
+ * Send a persisted snapshot to the other tabs
+ * (with the `storage` event fallback, writing to localStorage already did that)
+ * @private
+ */
+function broadcastSnapshot(name, snapshot) {
+    if (syncChannel) {
+        syncChannel.postMessage({ name, snapshot });
+    }
+}
+
+/**
+ * Split a data-each expression into the row alias and the list binding
+ * "todo in todos.items" -> { alias: "todo", source: "todos.items" }; the alias defaults to "item"
+ * @private
+ */
+function parseEach(expression) {
+    const match = expression.match(/^\s*([A-Za-z_$][\w$]*)\s+in\s+(\S+)\s*$/);
+    return match
+        ? { alias: match[1], source: match[2] }
+        : { alias: "item", source: expression.trim() };
+}
+
+/**
+ * Selector matching every element with a binding attribute
+ * @private
+ */
+function bindingSelector() {
+    return bindingAttributes().map((attribute) => `[${attribute}]`).join(", ");
+}
+
+/**
+ * The attributes that declare bindings (built-ins plus registered directives)
+ * @private
+ */
+function bindingAttributes() {
+    const attributes = ["data-each", "data-bind", "data-model", "data-on"];
+    for (const { attribute } of Object.values(Model.directives)) {
+        attributes.push(attribute);
+    }
+    return attributes;
+}
+
+/**
+ * Split a binding expression into model name and property path
+ * @private
+ */
+function splitBinding(expression) {
+    const [modelName, ...propertyParts] = expression.trim().split(".");
+    return { modelName, propertyPath: propertyParts.join(".") };
+}
+
+/**
+ * Read all of an element's bindings
+ * data-bind-class="active:tab.isOpen, theme:settings.dark" yields one binding per pair
+ * @param {Element} element
+ * @returns {Array<{directive: string, arg: string|null, modelName: string, propertyPath: string}>}
+ * @private
+ */
+function parseBindings(element) {
+    const bindings = [];
+
+    if (element.hasAttribute("data-each")) {
+        const { source } = parseEach(element.getAttribute("data-each"));
+        bindings.push({ directive: "each", arg: null, ...splitBinding(source) });
+    }
+    for (const directive of ["bind", "model"]) {
+        if (!element.hasAttribute(`data-${directive}`)) continue;
+
+        // "search.query|debounce:300|trim"
+        const [expression, ...pipes] = element.getAttribute(`data-${directive}`).split("|");
+        bindings.push({
+            directive,
+            arg: null,
+            pipes: pipes.map((pipe) => {
+                const [name, ...arg] = pipe.trim().split(":");
+                return { name, arg: arg.length ? arg.join(":") : null };
+            }),
+            ...splitBinding(expression),
         });
+    }
+
+    for (const [directive, { attribute }] of Object.entries(Model.directives)) {
+        if (!element.hasAttribute(attribute)) continue;
+
+        for (const pair of element.getAttribute(attribute).split(",")) {
+            if (!pair.trim()) continue;
+
+            const separator = pair.lastIndexOf(":");
+            const arg = separator === -1 ? null : pair.slice(0, separator).trim();
+            bindings.push({ directive, arg, ...splitBinding(pair.slice(separator + 1)) });
+        }
+    }
+
+    return bindings;
+}
+
+/**
+ * The bindings of an element that refer to a model (rather than a data-each row)
+ * @private
+ */
+function modelBindings(element) {
+    const bindings = parseBindings(element).filter((binding) => !findScope(element, binding.modelName));
+    if (scopedModels === 0) return bindings;
+
+    // Named as registered, so "user" inside data-scope="left" is indexed as "left/user"
+    return bindings.map((binding) => {
+        const modelName = resolveModelName(element, binding.modelName);
+        return modelName === binding.modelName ? binding : { ...binding, modelName };
+    });
+}
+
+/**
+ * Whether any of an element's bindings or data-on handlers refer to a model
+ * @private
+ */
+function isBoundTo(element, modelName) {
+    const handlers = element.hasAttribute("data-on") ? parseEvents(element.getAttribute("data-on")) : [];
+    return [...parseBindings(element), ...handlers].some((binding) =>
+        !findScope(element, binding.modelName) &&
+        resolveModelName(element, binding.modelName) === modelName
+    );
+}
+
+/**
+ * The registered name a model name in markup refers to: "<scope>/<name>" inside
+ * data-scope="<scope>" when such a model exists, otherwise the name itself
+ * @private
+ */
+function resolveModelName(element, name) {
+    if (scopedModels === 0) return name;
+
+    const scope = scopeOf(element);
+    return scope !== null && modelRegistry.has(`${scope}/${name}`) ? `${scope}/${name}` : name;
+}
+
+/**
+ * The data-scope an element is in, looking through list rows (which may not be
+ * attached yet) and shadow roots
+ * @private
+ */
+function scopeOf(element) {
+    for (let node = element; node; ) {
+        const scoped = node.closest("[data-scope]");
+        if (scoped) return scoped.getAttribute("data-scope");
+
+        const row = elementScopes.get(node);
+        node = row ? row.state.container : node.getRootNode().host;
+    }
+    return null;
+}
+
+/**
+ * The data-each row a name refers to, if it is a row alias or $index
+ * @private
+ */
+function findScope(element, name) {
+    for (let scope = elementScopes.get(element); scope; scope = scope.parent) {
+        if (name === "$index" || name === scope.state.alias) return scope;
+    }
+    return null;
+}
+
+/**
+ * Check whether a path was touched by a set of changes (the path itself, a parent or a child)
+ * @private
+ */
+function pathsOverlap(path, changedPaths) {
+    return changedPaths.some((changed) =>
+        changed === path ||
+        path.startsWith(`${changed}.`) ||
+        changed.startsWith(`${path}.`)
+    );
+}
+
+/**
+ * The node that currently stands in the DOM for a row node (the placeholder of a hidden data-if)
+ * @private
+ */
+function placedNode(node) {
+    return (!node.parentNode && ifAnchors.get(node)) || node;
+}
+
+/**
+ * Whether an element is on the page (or is a data-if element that is hidden for now)
+ * @private
+ */
+function isAttached(element) {
+    const anchor = ifAnchors.get(element);
+    return element.isConnected || Boolean(anchor && anchor.isConnected);
+}
+
+/**
+ * The rendering state of a data-each container, created on first use
+ * @private
+ */
+function listState(container) {
+    if (listStates.has(container)) return listStates.get(container);
+
+    const template = Array.from(container.children).find((child) => child.tagName === "TEMPLATE");
+    if (!template) {
+        log("warn", `data-each="${container.getAttribute("data-each")}" needs a <template> child`);
+        return null;
+    }
+
+    // Rows rendered on the server are replaced by rows of our own
+    for (const child of Array.from(container.children)) {
+        if (child.hasAttribute("data-ssr-row")) child.remove();
+    }
+
+    const state = {
+        container,
+        template,
+        alias: parseEach(container.getAttribute("data-each")).alias,
+        key: container.getAttribute("data-key"),
+        rows: new Map(),
+        order: [],
+        model: null,
+        path: null,
+    };
+    listStates.set(container, state);
+    return state;
+}
+
+/**
+ * The key that matches a list item to its row: the data-key field, or the item itself
+ * @private
+ */
+function listKey(item, field) {
+    if (field !== null && item !== null && typeof item === "object") {
+        return item[field];
+    }
+    return toRaw(item);
+}
+
+/**
+ * Find the model and path a binding refers to; row bindings are resolved
+ * against their row's current index
+ * @returns {{model: Object|undefined, parts: Array<string>|null, index?: number, itemPath?: string}}
+ *   parts is null for $index; itemPath is the row item's path for row bindings
+ * @private
+ */
+function resolveBinding(element, binding) {
+    const scope = findScope(element, binding.modelName);
+    if (!scope) {
+        const model = modelRegistry.get(resolveModelName(element, binding.modelName));
+        return { model, parts: binding.propertyPath.split(".") };
+    }
+
+    const { state, row } = scope;
+    const itemParts = [...state.path, String(row.index)];
+    if (binding.modelName === "$index") {
+        return { model: state.model, parts: null, index: row.index, itemPath: itemParts.join(".") };
+    }
+
+    const rest = binding.propertyPath ? binding.propertyPath.split(".") : [];
+    return { model: state.model, parts: [...itemParts, ...rest], itemPath: itemParts.join(".") };
+}
+
+/**
+ * Compare a form field's value with a model value (Dates by time, arrays by items)
+ * @private
+ */
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => item === b[index]);
+    }
+    return false;
+}
 
-        // Restore from sessionStorage (always required)
-        this.__restore();
+/**
+ * Read a number from text, ignoring currency symbols, grouping separators, "%" and spaces
+ * ("$1,234.50" -> 1234.5); empty or unreadable text is null
+ * @private
+ */
+function parseNumber(value) {
+    if (typeof value === "number") return value;
 
-        // Create the Proxy for reactivity
-        const proxy = this.__createProxy();
+    const text = String(value ?? "").replace(/[^\d.eE+-]/g, "");
+    if (text === "") return null;
 
-        // Register the PROXY in the registry, not the raw object
-        modelRegistry.set(instanceName, proxy);
-        console.log(`[Model] Registered model "${instanceName}"`);
-        console.log(`[Model] modelRegistry now has ${modelRegistry.size} models`);
+    const number = Number(text);
+    return Number.isNaN(number) ? null : number;
+}
 
-        // Sync initial state to DOM bindings
-        console.log(`[Model] Syncing initial state to DOM for "${instanceName}"`);
-        proxy.__updateDOM();
+/**
+ * Run a binding's parsers, left to right, on a value read from its field
+ * (debounce and lazy are input modifiers, not formatters)
+ * @private
+ */
+function parseValue(binding, value) {
+    for (const { name, arg } of binding.pipes) {
+        const formatter = Model.formatters[name];
+        if (formatter && formatter.parse) {
+            value = formatter.parse(value, arg);
+        }
+    }
+    return value;
+}
 
-        // Return the Proxy
-        return proxy;
+/**
+ * Run a binding's formatters, right to left, on a model value before it is shown
+ * @private
+ */
+function formatValue(binding, value) {
+    for (const { name, arg } of [...binding.pipes].reverse()) {
+        const formatter = Model.formatters[name];
+        if (formatter && formatter.format) {
+            value = formatter.format(value, arg);
+        }
     }
+    return value;
+}
 
-    /**
-     * Create a Proxy that intercepts property assignments
-     * @private
-     */
-    __createProxy() {
-        return new Proxy(this, {
-            set: (target, property, value) => {
-                // Ignore internal properties and methods
-                if (
-                    property.startsWith("__") ||
-                    typeof value === "function" ||
-                    property === "endpoint"
-                ) {
-                    target[property] = value;
-                    return true;
-                }
+/**
+ * Read a data-model field as a model value: its typed value, then the binding's parsers
+ * @private
+ */
+function parseInput(element, binding, current) {
+    return parseValue(binding, readInput(element, current));
+}
 
-                // Only trigger updates if value actually changed
-                if (target[property] === value) {
-                    console.log(`[Model:${this.__instanceName}] No change for ${property}, skipping update`);
-                    return true;
-                }
+/**
+ * Format a Date the way <input type="datetime-local"> expects it (local time)
+ * @private
+ */
+function toLocalDateTime(date) {
+    const pad = (number) => String(number).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
 
-                // Set the value
-                console.log(`[Model:${this.__instanceName}] Setting ${property} = ${value}`);
-                target[property] = value;
+/**
+ * Read a form field as a model value:
+ * checkbox -> boolean (or the array of checked values when bound to an array),
+ * number/range -> number, date/datetime-local -> Date, <select multiple> -> array,
+ * file -> FileList; empty number and date fields read as null.
+ * Text fields, radios and selects bound to a number keep it a number.
+ * @param {Element} element - The form field
+ * @param {*} current - The model's current value
+ * @private
+ */
+function readInput(element, current) {
+    const { type } = element;
 
-                // Persist to sessionStorage
-                this.__persist();
+    if (type === "checkbox") {
+        if (!Array.isArray(current)) return element.checked;
 
-                // Update DOM bindings
-                console.log(`[Model:${this.__instanceName}] Updating DOM bindings...`);
-                this.__updateDOM();
+        const others = current.filter((item) => String(item) !== element.value);
+        return element.checked ? [...others, element.value] : others;
+    }
+    if (type === "select-multiple") {
+        return Array.from(element.selectedOptions, (option) => option.value);
+    }
+    if (type === "file") {
+        return element.files;
+    }
+    if (type === "number" || type === "range") {
+        return element.value === "" || Number.isNaN(element.valueAsNumber) ? null : element.valueAsNumber;
+    }
+    if (type === "date" || type === "datetime-local") {
+        if (element.value === "") return null;
+        // Dates are UTC midnight (like valueAsDate), date-times are local
+        return new Date(type === "date" ? `${element.value}T00:00:00Z` : element.value);
+    }
 
-                return true;
-            },
+    const value = element.value;
+    if (typeof current === "number" && value.trim() !== "" && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    return value;
+}
 
-            get: (target, property) => {
-                // Return the property value normally
-                return target[property];
-            },
-        });
+/**
+ * Write input changes of a data-model element back to its model
+ * Writes on every input event, or only on change with data-model-lazy or "|lazy";
+ * "|debounce:ms" waits until typing pauses (a change event writes right away)
+ * @private
+ */
+function bindInput(element) {
+    // Skip if already bound
+    if (boundElements.has(element)) {
+        log("debug", `[mountElement] Element already bound, skipping`);
+        return;
     }
+    boundElements.add(element);
+    log("debug", `[mountElement] Setting up two-way binding for ${element.getAttribute("data-model")} on ${element.tagName}`);
 
-    /**
-     * Persist model state to sessionStorage
-     * @private
-     */
-    __persist() {
-        const data = {};
-        for (const key in this) {
-            // Skip internal properties, methods, and endpoint
-            if (
-                !key.startsWith("__") &&
-                typeof this[key] !== "function" &&
-                key !== "endpoint"
-            ) {
-                data[key] = this[key];
-            }
-        }
+    const binding = parseBindings(element).find(({ directive }) => directive === "model");
+    const target = `${binding.modelName}.${binding.propertyPath}`;
+    const lazy = element.hasAttribute("data-model-lazy") || binding.pipes.some(({ name }) => name === "lazy");
+    const debounce = binding.pipes.find(({ name }) => name === "debounce");
+    const delay = debounce && debounce.arg !== null && !Number.isNaN(Number(debounce.arg)) ? Number(debounce.arg) : 300;
 
-        const storageKey = `model:${this.__instanceName}`;
-        sessionStorage.setItem(storageKey, JSON.stringify(data));
+    for (const { name } of binding.pipes) {
+        if (name !== "lazy" && name !== "debounce" && !Model.formatters[name]) {
+            log("warn", `Unknown formatter "${name}" in data-model="${element.getAttribute("data-model")}"`);
+        }
     }
 
-    /**
-     * Restore model state from sessionStorage
-     * @private
-     */
-    __restore() {
-        const storageKey = `model:${this.__instanceName}`;
-        const stored = sessionStorage.getItem(storageKey);
+    // Update the model when the user changes the input
+    const write = (e) => {
+        const { model, parts } = resolveBinding(element, binding);
+        log("debug", `[Binding Event] ${e.type === "input" ? "Input" : "Change"} on ${target}`);
 
-        if (stored) {
-            try {
-                const data = JSON.parse(stored);
-                for (const key in data) {
-                    this[key] = data[key];
+        if (model && parts) {
+            // Only the radio that became checked speaks for the group
+            if (element.type === "radio" && !element.checked) return;
+
+            const current = model.__readPath(parts);
+            const value = parseInput(element, binding, current);
+
+            // input and change both fire for most fields; write once
+            if (!sameValue(value, current)) {
+                log("debug", `[Binding Event] ${target} = ${value} (from ${e.type})`);
+                try {
+                    withSource("input", () => model.__writePath(parts, value));
+                } catch (error) {
+                    // Input the schema can't take shows up in $errors instead
+                    if (error.name !== "SchemaError") throw error;
+                    model.__schemaFailed(error, "input");
+                    return;
                 }
-            } catch (e) {
-                console.error(
-                    `Failed to restore model ${this.__instanceName} from storage`,
-                    e
-                );
             }
+
+            // Once editing is done, show the value in the binding's format ("20" -> "€20.00")
+            if (e.type === "change" && binding.pipes.length) {
+                model.__setElementValue(element, formatValue(binding, value));
+            }
+        } else {
+            log("warn", `[Binding Event] Model "${binding.modelName}" not found!`);
         }
-    }
+    };
 
-    /**
-     * Update all DOM elements bound to this model
-     * @private
-     */
-    __updateDOM() {
-        const selector = `[data-bind^="${this.__instanceName}."], [data-model^="${this.__instanceName}."]`;
-        console.log(`[Model:${this.__instanceName}] Looking for elements with selector: ${selector}`);
+    let timer = null;
+    const handler = (e) => {
+        clearTimeout(timer);
+        if (debounce && e.type === "input") {
+            timer = setTimeout(() => write(e), delay);
+        } else {
+            write(e);
+        }
+    };
+
+    // change as well as input, especially for checkboxes and selects
+    if (!lazy) {
+        listen(element, "input", handler);
+    }
+    listen(element, "change", handler);
+    addCleanup(element, () => clearTimeout(timer));
 
-        const elements = document.querySelectorAll(selector);
-        console.log(`[Model:${this.__instanceName}] Found ${elements.length} elements to update`);
+    // Leaving the field marks it touched (user.$touched.email), for showing errors
+    listen(element, "blur", () => {
+        const { model, parts } = resolveBinding(element, binding);
+        if (model && parts && !model.$touched[parts[0]]) {
+            model.$touched[parts[0]] = true;
+        }
+    });
+}
 
-        elements.forEach((element) => {
-            const binding = element.getAttribute("data-bind") ||
-                element.getAttribute("data-model") || "";
+/**
+ * Parse a data-on attribute
+ * "click.prevent:user.save, input.debounce.300:search.run" ->
+ * [{ event: "click", modifiers: { prevent: true, ... }, modelName: "user", propertyPath: "save" }, ...]
+ * @private
+ */
+function parseEvents(value) {
+    const handlers = [];
 
-            // Extract just the property part (remove model name prefix)
-            const [modelName, ...propertyParts] = binding.split(".");
-            const propertyBinding = propertyParts.join(".");
+    for (const pair of value.split(",")) {
+        const separator = pair.indexOf(":");
+        if (separator === -1) continue;
 
-            console.log(`[Model:${this.__instanceName}] Updating element with binding: ${binding} (property: ${propertyBinding})`);
-            this.__updateElement(element, propertyBinding);
+        const [event, ...flags] = pair.slice(0, separator).trim().split(".");
+        const modifiers = { prevent: false, stop: false, self: false, once: false, debounce: null };
+        flags.forEach((flag, index) => {
+            if (flag === "debounce") {
+                const delay = Number(flags[index + 1]);
+                modifiers.debounce = Number.isNaN(delay) ? 300 : delay;
+            } else if (flag in modifiers) {
+                modifiers[flag] = true;
+            }
         });
+
+        handlers.push({ event, modifiers, ...splitBinding(pair.slice(separator + 1)) });
     }
 
-    /**
-     * Update a single DOM element with the current model value
-     * @private
-     */
-    __updateElement(element, binding) {
-        const value = this.__getPropertyValue(binding);
-        console.log(`[Model:${this.__instanceName}] __getPropertyValue("${binding}") returned: "${value}"`);
+    return handlers;
+}
 
-        if (element.type === "checkbox") {
-            console.log(`[Model:${this.__instanceName}] Setting checkbox.checked = ${!!value}`);
-            element.checked = !!value;
-        } else if (element.tagName === "INPUT" || element.tagName === "SELECT") {
-            console.log(`[Model:${this.__instanceName}] Setting element.value = "${value}"`);
-            element.value = value;
-        } else if (element.tagName === "TEXTAREA") {
-            console.log(`[Model:${this.__instanceName}] Setting element.textContent = "${value}"`);
-            element.textContent = value;
-        } else {
-            console.log(`[Model:${this.__instanceName}] Setting ${element.tagName}.textContent = "${value}"`);
-            element.textContent = value;
-        }
-    }
+/**
+ * Attach the listeners of a data-on element
+ * Modifiers: prevent (preventDefault), stop (stopPropagation), self (only events on the
+ * element itself), once (first event only), debounce[.ms] (wait until events stop, 300ms default)
+ * @private
+ */
+function bindEvents(element) {
+    if (boundHandlers.has(element)) return;
+    boundHandlers.add(element);
 
-    /**
-     * Get a property value from the model (supports methods and nested properties)
-     * @param {string} propertyPath - Just the property path, e.g., "name" or "fullName" (without model name)
-     * @private
-     */
-    __getPropertyValue(propertyPath) {
-        const parts = propertyPath.split(".");
-        let value = this;
+    for (const handler of parseEvents(element.getAttribute("data-on"))) {
+        const { event, modifiers } = handler;
+        log("debug", `[mountElement] Listening for ${event} to call ${handler.modelName}.${handler.propertyPath}`);
 
-        for (const part of parts) {
-            if (value == null) return "";
+        let timer = null;
+        const listener = (e) => {
+            if (modifiers.self && e.target !== element) return;
+            if (modifiers.prevent) e.preventDefault();
+            if (modifiers.stop) e.stopPropagation();
 
-            // Check if it's a method call (no parentheses in binding, but we call it)
-            if (typeof value[part] === "function") {
-                value = value[part]();
-            } else {
-                value = value[part];
+            if (modifiers.debounce === null) {
+                callHandler(element, handler, e);
+                return;
             }
-        }
+            clearTimeout(timer);
+            timer = setTimeout(() => callHandler(element, handler, e), modifiers.debounce);
+        };
 
-        return value ?? "";
+        listen(element, event, listener, { once: modifiers.once });
+        addCleanup(element, () => clearTimeout(timer));
     }
+}
 
-    /**
-     * Fetch model data from the API endpoint and populate the model
-     * @returns {Promise<void>}
-     */
-    async get() {
-        if (!this.endpoint) {
-            console.warn(
-                `Model ${this.__instanceName} has no endpoint defined for get()`
-            );
-            return;
-        }
+/**
+ * Add an event listener that is removed again when the element is unmounted
+ * @private
+ */
+function listen(element, event, listener, options) {
+    element.addEventListener(event, listener, options);
+    addCleanup(element, () => element.removeEventListener(event, listener, options));
+}
 
-        try {
-            const response = await fetch(this.endpoint, {
-                method: "GET",
-                headers: { "Content-Type": "application/json" },
-            });
+/**
+ * Remember something to undo when an element is unmounted
+ * @private
+ */
+function addCleanup(element, cleanup) {
+    if (!elementCleanups.has(element)) {
+        elementCleanups.set(element, []);
+    }
+    elementCleanups.get(element).push(cleanup);
+}
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+/**
+ * Call the model method a data-on handler names, with the event
+ * Errors (thrown or rejected) are logged and dispatched as a bubbling "model:error" event
+ * @private
+ */
+function callHandler(element, handler, event) {
+    const name = `${handler.modelName}.${handler.propertyPath}`;
+    const { model, parts } = resolveBinding(element, handler);
+    if (!model || !parts) {
+        log("warn", `[Binding Event] Model "${handler.modelName}" not found!`);
+        return;
+    }
 
-            const data = await response.json();
+    const target = model.__readPath(parts.slice(0, -1));
+    const method = target == null ? undefined : target[parts[parts.length - 1]];
+    if (typeof method !== "function") {
+        log("warn", `[Binding Event] ${name} is not a method`);
+        return;
+    }
 
-            // Populate model with response data
-            for (const key in data) {
-                if (!key.startsWith("__") && this.hasOwnProperty(key)) {
-                    this[key] = data[key];
-                }
-            }
-        } catch (error) {
-            console.error(`Failed to fetch model ${this.__instanceName}`, error);
-            throw error;
+    const failed = (error) => {
+        // A get() superseded by a newer click was aborted on purpose
+        if (error && error.name === "AbortError") return;
+
+        log("error", `Failed to handle ${event.type} with ${name}`, error);
+        element.dispatchEvent(new CustomEvent("model:error", {
+            bubbles: true,
+            detail: { error, handler: name, event },
+        }));
+    };
+
+    log("debug", `[Binding Event] ${event.type} -> ${name}()`);
+    try {
+        const result = method.call(target, event);
+        if (isThenable(result)) {
+            result.then(undefined, failed);
         }
+    } catch (error) {
+        failed(error);
     }
+}
 
-    /**
-     * POST the current model state to the API endpoint
-     * @returns {Promise<void>}
-     */
-    async post() {
-        if (!this.endpoint) {
-            console.warn(
-                `Model ${this.__instanceName} has no endpoint defined for post()`
-            );
-            return;
+/**
+ * Add an element to the binding index so updates can find it without a DOM scan
+ * (row bindings are left to their list)
+ * @param {Element} element - Element with binding attributes
+ * @private
+ */
+function indexBinding(element) {
+    for (const { modelName, propertyPath } of modelBindings(element)) {
+        if (!modelName || !propertyPath) continue;
+
+        if (!bindingIndex.has(modelName)) {
+            bindingIndex.set(modelName, new Map());
+        }
+        const paths = bindingIndex.get(modelName);
+        if (!paths.has(propertyPath)) {
+            paths.set(propertyPath, new Set());
         }
+        paths.get(propertyPath).add(element);
+    }
+}
 
-        try {
-            // Serialize only public properties (exclude __ prefixed and methods)
-            const payload = {};
-            for (const key in this) {
-                if (
-                    !key.startsWith("__") &&
-                    typeof this[key] !== "function" &&
-                    key !== "endpoint"
-                ) {
-                    payload[key] = this[key];
-                }
-            }
+/**
+ * Index, wire up and render an element that was added after the initial scan
+ * @private
+ */
+function mountElement(element) {
+    // Server-rendered markup is only rendered, never wired up
+    if (!renderDocument) {
+        mountedElements.add(element);
+        indexBinding(element);
+        if (element.hasAttribute("data-model")) {
+            bindInput(element);
+        }
+        if (element.hasAttribute("data-on")) {
+            bindEvents(element);
+        }
+    }
 
-            const response = await fetch(this.endpoint, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify(payload),
-            });
+    for (const binding of modelBindings(element)) {
+        const model = modelRegistry.get(binding.modelName);
+        if (model && binding.propertyPath) {
+            model.__applyBinding(element, binding, binding.propertyPath);
+        }
+    }
+}
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+/**
+ * Write a form field's current value to its attributes, so it survives serialization
+ * @private
+ */
+function reflectField(element) {
+    if (element.tagName === "TEXTAREA") {
+        element.textContent = element.value;
+    } else if (element.tagName === "SELECT") {
+        for (const option of element.options) {
+            option.toggleAttribute("selected", option.selected);
+        }
+    } else if (element.type === "checkbox" || element.type === "radio") {
+        element.toggleAttribute("checked", element.checked);
+    } else if (element.type !== "file") {
+        element.setAttribute("value", element.value);
+    }
+}
 
-            // If server returns data, update the model
-            const data = await response.json();
-            if (data && typeof data === "object") {
-                for (const key in data) {
-                    if (!key.startsWith("__") && this.hasOwnProperty(key)) {
-                        this[key] = data[key];
-                    }
-                }
-            }
-        } catch (error) {
-            console.error(`Failed to post model ${this.__instanceName}`, error);
-            throw error;
+/**
+ * Detach an element: remove its listeners and drop it from the binding index
+ * @private
+ */
+function unmountElement(element) {
+    for (const cleanup of elementCleanups.get(element) || []) {
+        cleanup();
+    }
+    elementCleanups.delete(element);
+    mountedElements.delete(element);
+    boundElements.delete(element);
+    boundHandlers.delete(element);
+
+    for (const { modelName, propertyPath } of modelBindings(element)) {
+        const paths = bindingIndex.get(modelName);
+        const elements = paths && paths.get(propertyPath);
+        if (!elements) continue;
+
+        elements.delete(element);
+        if (elements.size === 0) {
+            paths.delete(propertyPath);
         }
     }
 }
 
-// Track which elements are already bound to prevent duplicate listeners
-const boundElements = new WeakSet();
+/**
+ * The bound elements in a subtree, the root itself included
+ * @param {Node} root - Document, shadow root or element
+ * @private
+ */
+function boundIn(root, selector = bindingSelector()) {
+    if (typeof root.querySelectorAll !== "function") return [];
+
+    const elements = Array.from(root.querySelectorAll(selector));
+    if (typeof root.matches === "function" && root.matches(selector)) {
+        elements.unshift(root);
+    }
+    return elements;
+}
 
 /**
- * Initialize all DOM bindings when the library loads
- * Scans the DOM for data-bind and data-model attributes and wires them up
+ * The bound elements in every mounted root (the document if nothing is mounted yet)
+ * @private
  */
-function initializeDOMBindings() {
-    console.log("[initializeDOMBindings] Starting initialization...");
-    console.log(`[initializeDOMBindings] modelRegistry has ${modelRegistry.size} models:`, Array.from(modelRegistry.keys()));
+function queryMounted(selector) {
+    const roots = mountedRoots.size > 0 ? [...mountedRoots.keys()] : [document];
+    const elements = new Set();
+    for (const root of roots) {
+        boundIn(root, selector).forEach((element) => elements.add(element));
+    }
+    return [...elements];
+}
 
-    // Setup two-way bindings (data-model)
-    const twoWayElements = document.querySelectorAll("[data-model]");
-    console.log(`[initializeDOMBindings] Found ${twoWayElements.length} two-way binding elements`);
+/**
+ * Bind every element in a subtree that is not bound yet
+ * (rendering an element that is being edited would reset it)
+ * @private
+ */
+function mountTree(root) {
+    const elements = boundIn(root).filter((element) => !mountedElements.has(element));
+    log("debug", `[Model] Found ${elements.length} bound elements in ${root.nodeName}`);
+    elements.forEach(mountElement);
+}
 
-    twoWayElements.forEach((element) => {
-        // Skip if already bound
-        if (boundElements.has(element)) {
-            console.log(`[initializeDOMBindings] Element already bound, skipping`);
-            return;
-        }
+/**
+ * What the MutationObserver of a mounted root watches
+ * @private
+ */
+function observerOptions() {
+    return { childList: true, subtree: true, attributes: true, attributeFilter: bindingAttributes() };
+}
 
-        const binding = element.getAttribute("data-model");
-        const [modelName, ...propertyParts] = binding.split(".");
-        console.log(`[initializeDOMBindings] Setting up two-way binding for ${binding} on ${element.tagName}`);
+/**
+ * Bind elements that use directives added after their roots were mounted (Model.use())
+ * @param {Array<string>} attributes - The new directives' attributes
+ * @private
+ */
+function mountDirectives(attributes) {
+    const selector = attributes.map((attribute) => `[${attribute}]`).join(",");
+    if (!selector) return;
 
-        boundElements.add(element);
+    for (const [root, observer] of mountedRoots) {
+        if (observer) observer.observe(root, observerOptions());
 
-        // Add input listener to update model when user changes the input
-        const inputHandler = (e) => {
-            console.log(`[Binding Event] Input on ${binding}`);
-            const model = modelRegistry.get(modelName);
-            if (model) {
-                const value = e.target.type === "checkbox" ? e.target.checked : e.target.value;
-                console.log(`[Binding Event] Model.${propertyParts[0]} = ${value} (from ${e.type})`);
-                model[propertyParts[0]] = value;
-            } else {
-                console.warn(`[Binding Event] Model "${modelName}" not found!`);
-            }
-        };
+        for (const element of boundIn(root, selector)) {
+            unmountElement(element);
+            mountElement(element);
+        }
+    }
+}
 
-        element.addEventListener("input", inputHandler);
+/**
+ * Detach every element in a subtree
+ * @private
+ */
+function unmountTree(root) {
+    boundIn(root).forEach(unmountElement);
+}
 
-        // Add change listener for completeness (especially for checkboxes and selects)
-        const changeHandler = (e) => {
-            console.log(`[Binding Event] Change on ${binding}`);
-            const model = modelRegistry.get(modelName);
-            if (model) {
-                const value = e.target.type === "checkbox" ? e.target.checked : e.target.value;
-                console.log(`[Binding Event] Model.${propertyParts[0]} = ${value} (from ${e.type})`);
-                model[propertyParts[0]] = value;
-            } else {
-                console.warn(`[Binding Event] Model "${modelName}" not found!`);
+/**
+ * MutationObserver callback: bind what entered the DOM, detach what left it
+ * @private
+ */
+function handleMutations(records) {
+    for (const record of records) {
+        if (record.type === "attributes") {
+            // A binding attribute was added, changed or removed; bind the element afresh
+            unmountElement(record.target);
+            if (record.target.isConnected) {
+                mountElement(record.target);
             }
-        };
+            continue;
+        }
 
-        element.addEventListener("change", changeHandler);
-    });
+        for (const node of record.removedNodes) {
+            // Moved rather than removed (list reordering), or hidden by data-if until it returns
+            if (node.isConnected || ifAnchors.has(node)) continue;
+            unmountTree(node);
+        }
 
-    // Setup one-way bindings (data-bind)
-    // These are read-only and will update when the model changes
-    // The model's __updateDOM method handles these updates
-    const oneWayElements = document.querySelectorAll("[data-bind]");
-    console.log(`[initializeDOMBindings] Found ${oneWayElements.length} one-way binding elements`);
+        for (const node of record.addedNodes) {
+            // Rows are bound by their list as they are created; mounting again is harmless
+            if (node.isConnected) {
+                mountTree(node);
+            }
+        }
+    }
 }
 
 // Make Model and modelRegistry available globally for non-module scripts
 if (typeof window !== "undefined") {
     window.Model = Model;
+    window.Collection = Collection;
     window.modelRegistry = modelRegistry;
 }
 
-// Initialize bindings when DOM is ready
-if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", initializeDOMBindings);
-} else {
-    // DOM is already loaded (happens with defer or module scripts)
-    initializeDOMBindings();
-}
-
-// Re-initialize bindings periodically for 2 seconds to catch dynamically added models
-// This ensures models created via ES6 modules get their bindings set up
-let initAttempt = 0;
-const maxAttempts = 20; // 20 attempts * 100ms = 2 seconds
-const initInterval = setInterval(() => {
-    initAttempt++;
-    console.log(`[initializeDOMBindings] Retry ${initAttempt}/${maxAttempts} - modelRegistry has ${modelRegistry.size} models`);
-    initializeDOMBindings();
-
-    if (initAttempt >= maxAttempts) {
-        clearInterval(initInterval);
+// Bind the document when it is ready and keep watching it for added and removed elements
+// (models created later render their bindings themselves when constructed).
+// Without a document (Node, workers) models work the same, just without bindings.
+if (typeof document !== "undefined") {
+    if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", () => Model.mount(document));
+    } else {
+        // DOM is already loaded (happens with defer or module scripts)
+        Model.mount(document);
     }
-}, 100);
+}
 
 // Export for use in modules
 if (typeof module !== "undefined" && module.exports) {
-    module.exports = { Model, modelRegistry };
+    module.exports = { Model, Collection, modelRegistry };
 }
@@ -1,6 +1,6 @@
 /**
  * SimpleStateLibrary - Unit Tests
- * Run with: node test.js (requires Node.js environment)
+ * Run with: npm test (tests that need a DOM run in jsdom, or are skipped without it)
  * Or open test.html in a browser
  */
 
@@ -8,9 +8,15 @@
 const tests = [];
 let passedTests = 0;
 let failedTests = 0;
+let skippedTests = 0;
 
 function test(description, fn) {
-    tests.push({ description, fn });
+    tests.push({ description, fn, dom: false });
+}
+
+// Tests of DOM bindings; skipped where there is no document (plain Node)
+function domTest(description, fn) {
+    tests.push({ description, fn, dom: true });
 }
 
 function assert(condition, message) {
@@ -27,12 +33,18 @@ function assertEquals(actual, expected, message) {
     }
 }
 
-function runTests() {
+async function runTests() {
     console.log("🧪 Running SimpleStateLibrary Tests\n");
 
-    tests.forEach(({ description, fn }) => {
+    for (const { description, fn, dom } of tests) {
+        if (dom && typeof document === "undefined") {
+            console.log(`- ${description} (needs a DOM, skipped)`);
+            skippedTests++;
+            continue;
+        }
+
         try {
-            fn();
+            await fn();
             console.log(`✓ ${description}`);
             passedTests++;
         } catch (error) {
@@ -40,12 +52,45 @@ function runTests() {
             console.error(`  ${error.message}\n`);
             failedTests++;
         }
-    });
+    }
 
-    console.log(`\n📊 Results: ${passedTests} passed, ${failedTests} failed`);
+    console.log(`\n📊 Results: ${passedTests} passed, ${failedTests} failed, ${skippedTests} skipped`);
     return failedTests === 0;
 }
 
+/**
+ * Replace fetch() with a stub that records requests and answers with `respond(url, init)`
+ * @returns {{calls: Array, restore: Function}}
+ */
+function mockFetch(respond = () => ({})) {
+    const original = globalThis.fetch;
+    const calls = [];
+
+    globalThis.fetch = async (url, init) => {
+        calls.push({ url, ...init, body: init.body && JSON.parse(init.body) });
+
+        // Like the real fetch(), reject with the abort reason as soon as the request is aborted
+        const aborted = new Promise((resolve, reject) => {
+            if (init.signal) {
+                init.signal.addEventListener("abort", () => reject(init.signal.reason));
+            }
+        });
+        const result = await Promise.race([respond(url, init, calls.length), aborted]);
+        const status = result && result.status ? result.status : 200;
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            text: async () => (result && result.body !== undefined ? JSON.stringify(result.body) : ""),
+        };
+    };
+
+    return { calls, restore: () => { globalThis.fetch = original; } };
+}
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 // ============= TESTS =============
 
 test("Model can be instantiated", () => {
@@ -71,6 +116,7 @@ test("Model properties trigger persistence", () => {
     }
     const model = new TestModel("test");
     model.name = "John";
+    Model.flush();
     const stored = sessionStorage.getItem("model:test");
     assert(stored !== null, "Should save to sessionStorage");
     const data = JSON.parse(stored);
@@ -108,6 +154,7 @@ test("Methods are not persisted", () => {
     const model = new TestModel("method-test");
     model.name = "Bob";
 
+    Model.flush();
     const stored = JSON.parse(sessionStorage.getItem("model:method-test"));
     assert(!stored.hasOwnProperty("getName"), "Methods should not be persisted");
 
@@ -123,6 +170,7 @@ test("Private properties (__ prefix) are not persisted", () => {
     const model = new TestModel("private-test");
     model.name = "Charlie";
 
+    Model.flush();
     const stored = JSON.parse(sessionStorage.getItem("model:private-test"));
     assert(!stored.hasOwnProperty("__secret"), "Private properties should not be persisted");
     assertEquals(stored.name, "Charlie", "Public properties should still be persisted");
@@ -173,6 +221,7 @@ test("Endpoint property is not persisted", () => {
     const user = new User("endpoint-test");
     user.name = "Eve";
 
+    Model.flush();
     const stored = JSON.parse(sessionStorage.getItem("model:endpoint-test"));
     assert(!stored.hasOwnProperty("endpoint"), "Endpoint should not be persisted");
 
@@ -185,10 +234,12 @@ test("Same property value doesn't trigger re-persistence", () => {
     }
 
     const model = new TestModel("same-value-test");
+    Model.flush();
     const stored1 = sessionStorage.getItem("model:same-value-test");
 
     // Set to same value
     model.name = "initial";
+    Model.flush();
     const stored2 = sessionStorage.getItem("model:same-value-test");
 
     // Both should be same (not re-persisted)
@@ -205,10 +256,12 @@ test("Changing property updates stored value", () => {
     const model = new TestModel("increment-test");
     model.count = 5;
 
+    Model.flush();
     let stored = JSON.parse(sessionStorage.getItem("model:increment-test"));
     assertEquals(stored.count, 5, "Initial storage should have count=5");
 
     model.count = 10;
+    Model.flush();
     stored = JSON.parse(sessionStorage.getItem("model:increment-test"));
     assertEquals(stored.count, 10, "Updated storage should have count=10");
 
@@ -223,6 +276,7 @@ test("Model can serialize complex data types", () => {
 
     const model = new TestModel("complex-test");
 
+    Model.flush();
     const stored = JSON.parse(sessionStorage.getItem("model:complex-test"));
     assertEquals(
         JSON.stringify(stored.items),
@@ -246,6 +300,7 @@ test("Null values are persisted", () => {
 
     const model = new TestModel("null-test");
 
+    Model.flush();
     const stored = JSON.parse(sessionStorage.getItem("model:null-test"));
     assertEquals(stored.id, null, "Null values should be persisted");
     assertEquals(stored.name, "test", "Other properties should still exist");
@@ -253,10 +308,2325 @@ test("Null values are persisted", () => {
     sessionStorage.clear();
 });
 
-// Run tests if this file is executed
-if (typeof module !== "undefined" && module.exports) {
-    // Node.js environment
-    module.exports = { runTests };
+test("Nested object mutations are persisted", () => {
+    class TestModel extends Model {
+        address = { city: "Paris", zip: "75001" };
+    }
+
+    const model = new TestModel("nested-test");
+    model.address.city = "Oslo";
+
+    Model.flush();
+    const stored = JSON.parse(sessionStorage.getItem("model:nested-test"));
+    assertEquals(stored.address.city, "Oslo", "Deep assignment should persist");
+
+    sessionStorage.clear();
+});
+
+test("Array mutations are persisted", () => {
+    class TestModel extends Model {
+        items = ["a"];
+    }
+
+    const model = new TestModel("array-test");
+    model.items.push("b");
+    model.items.splice(0, 1);
+
+    Model.flush();
+    const stored = JSON.parse(sessionStorage.getItem("model:array-test"));
+    assertEquals(JSON.stringify(stored.items), '["b"]', "push/splice should persist");
+
+    sessionStorage.clear();
+});
+
+test("Map and Set mutations trigger updates", () => {
+    class TestModel extends Model {
+        tags = new Set();
+        lookup = new Map();
+    }
+
+    const model = new TestModel("collection-test");
+    let changes = 0;
+    model.on("*", () => changes++);
+
+    model.tags.add("red");
+    model.tags.add("red");
+    model.lookup.set("a", 1);
+    model.lookup.delete("a");
+
+    assertEquals(changes, 3, "Only real Map/Set mutations should trigger updates");
+    assert(model.tags.has("red"), "Set should contain the added value");
+
+    sessionStorage.clear();
+});
+
+test("Objects read or iterated from a Map or Set are reactive", () => {
+    class TestModel extends Model {
+        lookup = new Map([["a", { x: 1 }], ["b", { x: 1 }]]);
+        items = new Set([{ n: 1 }]);
+    }
+
+    const model = new TestModel("collection-deep-test");
+    const paths = [];
+    model.on("*", (value, oldValue, path) => paths.push(path));
+
+    model.lookup.get("a").x = 3;
+    assertEquals(paths.pop(), "lookup.a.x", "get() reports at the key's path");
+
+    for (const value of model.lookup.values()) value.x = 2;
+    assertEquals(paths.splice(0).join(","), "lookup.a.x,lookup.b.x", "values() hands out wrapped values");
+
+    for (const [key, value] of model.lookup) value.x = key;
+    assertEquals(paths.splice(0).join(","), "lookup.a.x,lookup.b.x", "Iterating a Map hands out wrapped values");
+
+    for (const item of model.items) item.n = 2;
+    assertEquals(paths.splice(0).join(","), "items.0.n", "Iterating a Set hands out wrapped values");
+
+    Model.flush();
+    const stored = sessionStorage.getItem("model:collection-deep-test");
+    assert(stored.includes('"x":"b"') && stored.includes('"n":2'), "Changes made while iterating are persisted");
+
+    sessionStorage.clear();
+});
+
+test("Nested objects are wrapped lazily and consistently", () => {
+    class TestModel extends Model {
+        address = { city: "Paris" };
+    }
+
+    const model = new TestModel("lazy-test");
+    assert(model.address === model.address, "Same nested proxy should be returned on every read");
+
+    model.copy = model.address;
+    model.copy.city = "Rome";
+    assertEquals(model.address.city, "Rome", "Assigned proxies should share the raw object");
+
+    sessionStorage.clear();
+});
+
+test("Changes to moved array items are reported at their new index", () => {
+    class TestModel extends Model {
+        tasks = [{ name: "a", done: false }];
+        address = { city: "Paris" };
+    }
+
+    const model = new TestModel("moved-items-test", false);
+    const first = model.tasks[0];
+    const changed = [];
+    const watched = [];
+    model.on("*", (value, oldValue, property) => changed.push(property));
+    model.watch("tasks.1.done", (value) => watched.push(value));
+
+    model.tasks.unshift({ name: "b", done: false });
+    model.tasks[1].done = true;
+    assertEquals(changed[changed.length - 1], "tasks.1.done", "Write after unshift uses the new index");
+    assertEquals(watched[watched.length - 1], true, "Watcher of the new index fires");
+
+    model.tasks.reverse();
+    first.name = "A";
+    assertEquals(changed[changed.length - 1], "tasks.0.name", "Proxy read before reverse() follows its item");
+
+    model.tasks.splice(0, 1);
+    model.tasks[0].done = true;
+    assertEquals(changed[changed.length - 1], "tasks.0.done", "Write after splice uses the new index");
+
+    // One object at two paths: each proxy reports its own path
+    model.copy = model.address;
+    model.copy.city = "Rome";
+    assertEquals(changed[changed.length - 1], "copy.city", "Written through the second path");
+    model.address.city = "Oslo";
+    assertEquals(changed[changed.length - 1], "address.city", "Written through the first path");
+});
+
+test("on() handlers receive new value, old value and property", () => {
+    class TestModel extends Model {
+        name = "Ann";
+    }
+
+    const model = new TestModel("on-test");
+    const calls = [];
+    const unsubscribe = model.on("name", (value, oldValue, property) => {
+        calls.push([value, oldValue, property]);
+    });
+
+    model.name = "Ben";
+    unsubscribe();
+    model.name = "Cid";
+
+    assertEquals(calls.length, 1, "Handler should stop firing after unsubscribe");
+    assertEquals(calls[0].join(","), "Ben,Ann,name", "Handler arguments");
+
+    sessionStorage.clear();
+});
+
+test("Wildcard handlers see every change and off() removes them", () => {
+    class TestModel extends Model {
+        name = "";
+        address = { city: "" };
+    }
+
+    const model = new TestModel("wildcard-test");
+    const properties = [];
+    const handler = (value, oldValue, property) => properties.push(property);
+    model.on("*", handler);
+
+    model.name = "Ann";
+    model.address.city = "Oslo";
+    model.off("*", handler);
+    model.name = "Ben";
+
+    assertEquals(properties.join(","), "name,address.city", "Wildcard should see nested paths");
+
+    sessionStorage.clear();
+});
+
+test("watch() tracks nested paths and supports immediate", () => {
+    class TestModel extends Model {
+        address = { city: "Paris" };
+        name = "";
+    }
+
+    const model = new TestModel("watch-test");
+    const seen = [];
+    const unwatch = model.watch("address.city", (value, oldValue) => {
+        seen.push(`${oldValue}->${value}`);
+    }, { immediate: true });
+
+    model.address.city = "Oslo";
+    model.name = "Ignored";
+    model.address = { city: "Rome" };
+    unwatch();
+    model.address.city = "Bern";
+
+    assertEquals(seen.join(","), "undefined->Paris,Paris->Oslo,Oslo->Rome", "Watch callbacks");
+
+    sessionStorage.clear();
+});
+
+test("Computed getters are cached until a dependency changes", () => {
+    let runs = 0;
+    class User extends Model {
+        firstName = "John";
+        lastName = "Doe";
+        role = "viewer";
+
+        get fullName() {
+            runs++;
+            return `${this.firstName} ${this.lastName}`;
+        }
+    }
+
+    const user = new User("computed-test");
+    assertEquals(user.fullName, "John Doe", "Initial value");
+    user.fullName;
+    user.role = "admin";
+    assertEquals(user.fullName, "John Doe", "Unrelated change keeps cache");
+    assertEquals(runs, 1, "Getter should run once while dependencies are unchanged");
+
+    user.firstName = "Jane";
+    assertEquals(user.fullName, "Jane Doe", "Dependency change recomputes");
+    assertEquals(runs, 2, "Getter should rerun after a dependency changed");
+
+    sessionStorage.clear();
+});
+
+test("static computed methods are cached and track nested reads", () => {
+    let runs = 0;
+    class Cart extends Model {
+        static computed = ["total"];
+        items = [{ price: 2 }];
+        note = "";
+
+        total() {
+            runs++;
+            return this.items.reduce((sum, item) => sum + item.price, 0);
+        }
+    }
+
+    const cart = new Cart("computed-method-test");
+    assertEquals(cart.total(), 2, "Initial total");
+    cart.note = "gift";
+    cart.total();
+    assertEquals(runs, 1, "Cached across unrelated changes");
+
+    cart.items.push({ price: 3 });
+    assertEquals(cart.total(), 5, "Array mutation invalidates");
+    cart.items[0].price = 10;
+    assertEquals(cart.total(), 13, "Nested mutation invalidates");
+    assertEquals(runs, 3, "Recomputed once per relevant change");
+
+    sessionStorage.clear();
+});
+
+test("Computed properties notify subscribers only when their value changes", () => {
+    class User extends Model {
+        name = "ann";
+        age = 30;
+
+        get label() {
+            return this.name.toUpperCase();
+        }
+    }
+
+    const user = new User("computed-watch-test");
+    const seen = [];
+    user.watch("label", (value, oldValue) => seen.push(`${oldValue}->${value}`));
+
+    user.name = "ben";
+    user.age = 31;
+    user.name = "BEN";
+
+    assertEquals(seen.join(","), "ANN->BEN", "Watchers fire for computed changes");
+    Model.flush();
+    assert(!JSON.parse(sessionStorage.getItem("model:computed-watch-test")).hasOwnProperty("label"),
+        "Computed properties are not persisted");
+
+    sessionStorage.clear();
+});
+
+test("Computed properties follow the other models they read", () => {
+    class Settings extends Model {
+        rate = 2;
+    }
+    class Order extends Model {
+        qty = 3;
+
+        get total() {
+            return this.qty * settings.rate;
+        }
+    }
+
+    const settings = new Settings("computed-settings-test", false);
+    const order = new Order("computed-order-test", false);
+    assertEquals(order.total, 6, "Computed from both models");
+
+    const seen = [];
+    order.watch("total", (value) => seen.push(value));
+    settings.rate = 10;
+
+    assertEquals(order.total, 30, "Recalculated when the other model changes");
+    assertEquals(seen.join(","), "30", "Watchers fire for changes in the other model");
+
+    settings.dispose();
+    order.dispose();
+});
+
+test("Writes are persisted once per flush", () => {
+    const memory = Model.createMemoryStorage();
+    let writes = 0;
+    const storage = {
+        getItem: (key) => memory.getItem(key),
+        setItem: (key, value) => {
+            writes++;
+            return memory.setItem(key, value);
+        },
+        removeItem: (key) => memory.removeItem(key),
+    };
+
+    class TestModel extends Model {
+        static storage = storage;
+        name = "";
+        email = "";
+    }
+
+    const model = new TestModel("flush-test");
+    Model.flush();
+    writes = 0;
+
+    model.name = "Ann";
+    model.email = "ann@example.com";
+    model.name = "Anna";
+    assertEquals(writes, 0, "Nothing is written before the flush");
+
+    Model.flush();
+    assertEquals(writes, 1, "All pending writes are persisted together");
+    assertEquals(JSON.parse(memory.getItem("model:flush-test")).name, "Anna", "Latest value");
+});
+
+test("batch() flushes synchronously when the callback returns", () => {
+    class TestModel extends Model {
+        name = "";
+        role = "viewer";
+    }
+
+    const model = new TestModel("batch-test");
+    const result = model.batch(() => {
+        model.name = "Ann";
+        model.role = "admin";
+        return "done";
+    });
+
+    assertEquals(result, "done", "batch() returns the callback result");
+    const stored = JSON.parse(sessionStorage.getItem("model:batch-test"));
+    assertEquals(stored.role, "admin", "Changes are persisted when the batch ends");
+
+    sessionStorage.clear();
+});
+
+test("Pending writes are flushed automatically in a microtask", async () => {
+    class TestModel extends Model {
+        count = 0;
+    }
+
+    const model = new TestModel("microtask-test");
+    model.count = 3;
+    await Promise.resolve();
+
+    const stored = JSON.parse(sessionStorage.getItem("model:microtask-test"));
+    assertEquals(stored.count, 3, "Flushed without calling Model.flush()");
+
+    sessionStorage.clear();
+});
+
+test("Models can opt out of persistence", () => {
+    class Draft extends Model {
+        static storage = false;
+        body = "";
+    }
+    class User extends Model {
+        name = "";
+    }
+
+    const draft = new Draft("draft-test");
+    const temp = new User("temp-test", false);
+    draft.body = "secret";
+    temp.name = "Temporary";
+    Model.flush();
+
+    assertEquals(sessionStorage.getItem("model:draft-test"), null, "static storage = false");
+    assertEquals(sessionStorage.getItem("model:temp-test"), null, "new Model(name, false)");
+
+    sessionStorage.clear();
+});
+
+test("Custom synchronous storage adapters persist and restore", () => {
+    const storage = Model.createMemoryStorage();
+    class Prefs extends Model {
+        static storage = storage;
+        theme = "light";
+    }
+
+    const prefs = new Prefs("prefs-test");
+    prefs.theme = "dark";
+    Model.flush();
+
+    assertEquals(JSON.parse(storage.getItem("model:prefs-test")).theme, "dark", "Written to the adapter");
+    assertEquals(sessionStorage.getItem("model:prefs-test"), null, "Not written to sessionStorage");
+
+    const restored = new Prefs("prefs-test");
+    assertEquals(restored.theme, "dark", "Restored from the adapter");
+});
+
+test("Named adapters can be chosen per instance and globally", () => {
+    class Prefs extends Model {
+        theme = "light";
+    }
+
+    const previous = Model.storage;
+    Model.storage = "memory";
+    try {
+        const prefs = new Prefs("global-storage-test");
+        prefs.theme = "dark";
+        Model.flush();
+        assertEquals(sessionStorage.getItem("model:global-storage-test"), null, "Global default used");
+        assertEquals(new Prefs("global-storage-test").theme, "dark", "Restored from memory");
+    } finally {
+        Model.storage = previous;
+    }
+
+    const local = new Prefs("instance-storage-test", { storage: Model.createMemoryStorage() });
+    local.theme = "dark";
+    Model.flush();
+    assertEquals(sessionStorage.getItem("model:instance-storage-test"), null, "Instance option wins");
+});
+
+test("Asynchronous adapters restore once $ready resolves", async () => {
+    const items = new Map([["model:async-test", JSON.stringify({ theme: "dark" })]]);
+    const writes = [];
+    class Prefs extends Model {
+        static storage = {
+            getItem: async (key) => items.get(key) ?? null,
+            setItem: async (key, value) => {
+                writes.push(value);
+                items.set(key, value);
+            },
+            removeItem: async (key) => items.delete(key),
+        };
+        theme = "light";
+    }
+
+    const prefs = new Prefs("async-test");
+    await prefs.$ready;
+    Model.flush();
+
+    assertEquals(prefs.theme, "dark", "Snapshot applied after the read resolved");
+    assert(writes.every((value) => JSON.parse(value).theme === "dark"), "Defaults never overwrite the snapshot");
+});
+
+test("Snapshots are stamped with the model version", () => {
+    class TestModel extends Model {
+        static version = 3;
+        name = "";
+    }
+
+    new TestModel("version-test");
+    Model.flush();
+
+    const stored = JSON.parse(sessionStorage.getItem("model:version-test"));
+    assertEquals(stored.__version, 3, "Version should be stored");
+
+    sessionStorage.clear();
+});
+
+test("Older snapshots are upgraded by migrations", () => {
+    sessionStorage.setItem("model:migrate-test", JSON.stringify({ fullname: "Ann Lee", age: "41" }));
+
+    class User extends Model {
+        static version = 3;
+        static migrations = {
+            2: (old) => ({ ...old, name: old.fullname }),
+            3: (old) => {
+                old.age = Number(old.age);
+            },
+        };
+        name = "";
+        age = 0;
+    }
+
+    const user = new User("migrate-test");
+    assertEquals(user.name, "Ann Lee", "Renamed field migrated");
+    assertEquals(user.age, 41, "Retyped field migrated in place");
+
+    Model.flush();
+    const stored = JSON.parse(sessionStorage.getItem("model:migrate-test"));
+    assertEquals(stored.__version, 3, "Migrated snapshot is saved with the new version");
+
+    sessionStorage.clear();
+});
+
+test("Snapshots that cannot be migrated are discarded", () => {
+    sessionStorage.setItem("model:broken-migration-test", JSON.stringify({ __version: 1, name: "Ann" }));
+    sessionStorage.setItem("model:future-test", JSON.stringify({ __version: 9, name: "Ann" }));
+
+    class User extends Model {
+        static version = 2;
+        static migrations = {
+            2: () => {
+                throw new Error("cannot migrate");
+            },
+        };
+        name = "default";
+    }
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assertEquals(new User("broken-migration-test").name, "default", "Failed migration resets");
+        assertEquals(new User("future-test").name, "default", "Newer snapshot resets");
+    } finally {
+        console.error = originalError;
+    }
+
+    assertEquals(sessionStorage.getItem("model:future-test"), null, "Discarded snapshot is removed");
+
+    sessionStorage.clear();
+});
+
+test("static persist include/exclude control what is stored", () => {
+    class Form extends Model {
+        static persist = { exclude: ["isOpen"] };
+        name = "";
+        isOpen = false;
+    }
+    class Prefs extends Model {
+        static persist = { include: ["theme"] };
+        theme = "light";
+        lastTab = "home";
+    }
+
+    const form = new Form("exclude-test");
+    form.isOpen = true;
+    new Prefs("include-test");
+    Model.flush();
+
+    const formData = JSON.parse(sessionStorage.getItem("model:exclude-test"));
+    const prefsData = JSON.parse(sessionStorage.getItem("model:include-test"));
+    assert(!formData.hasOwnProperty("isOpen"), "Excluded field is not stored");
+    assert(formData.hasOwnProperty("name"), "Other fields are stored");
+    assert(!prefsData.hasOwnProperty("lastTab"), "Only included fields are stored");
+    assertEquals(prefsData.theme, "light", "Included field is stored");
+
+    sessionStorage.clear();
+});
+
+test("Expired snapshots are not restored", () => {
+    const savedAt = Date.now() - 60000;
+    sessionStorage.setItem("model:ttl-test", JSON.stringify({ __savedAt: savedAt, query: "old" }));
+    sessionStorage.setItem("model:fresh-test", JSON.stringify({ __savedAt: Date.now(), query: "new" }));
+
+    class Search extends Model {
+        static persist = { ttl: 1000 };
+        query = "";
+    }
+
+    assertEquals(new Search("ttl-test").query, "", "Expired snapshot ignored");
+    assertEquals(new Search("fresh-test").query, "new", "Fresh snapshot restored");
+
+    sessionStorage.clear();
+});
+
+test("Custom serialize/deserialize wrap the stored payload", () => {
+    class Secret extends Model {
+        static persist = {
+            serialize: (data) => `enc:${Model.serialize(data)}`,
+            deserialize: (text) => Model.deserialize(text.slice(4)),
+        };
+        pin = "1234";
+    }
+
+    new Secret("serializer-test");
+    Model.flush();
+    const stored = sessionStorage.getItem("model:serializer-test");
+    assert(stored.startsWith("enc:"), "Custom serializer used");
+    assertEquals(new Secret("serializer-test").pin, "1234", "Custom deserializer used");
+
+    sessionStorage.clear();
+});
+
+test("Date, Map, Set and BigInt values round-trip through storage", () => {
+    class Event extends Model {
+        when = new Date("2024-05-01T10:00:00Z");
+        seats = new Map([["a1", { taken: true }]]);
+        tags = new Set(["vip"]);
+        budget = 10n;
+    }
+
+    const event = new Event("types-test");
+    event.budget = 9007199254740993n;
+    Model.flush();
+
+    const restored = new Event("types-test");
+    assert(restored.when instanceof Date, "Date restored as Date");
+    assertEquals(restored.when.toISOString(), "2024-05-01T10:00:00.000Z", "Date value");
+    assert(restored.seats instanceof Map, "Map restored as Map");
+    assertEquals(restored.seats.get("a1").taken, true, "Map entries");
+    assert(restored.tags instanceof Set && restored.tags.has("vip"), "Set restored as Set");
+    assertEquals(restored.budget, 9007199254740993n, "BigInt restored exactly");
+
+    sessionStorage.clear();
+});
+
+test("Synced models broadcast local changes to other tabs", async () => {
+    if (typeof BroadcastChannel === "undefined") return;
+
+    class Settings extends Model {
+        static sync = true;
+        theme = "light";
+    }
+
+    const otherTab = new BroadcastChannel("simple-state-library");
+    const received = [];
+    otherTab.onmessage = ({ data }) => received.push(data);
+
+    try {
+        const settings = new Settings("sync-send-test");
+        Model.flush();
+        settings.theme = "dark";
+        Model.flush();
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        assertEquals(received.length, 1, "Only real changes are broadcast, not construction");
+        assertEquals(received[0].name, "sync-send-test", "Message names the model");
+        assertEquals(Model.deserialize(received[0].snapshot).theme, "dark", "Message carries the snapshot");
+    } finally {
+        otherTab.close();
+        sessionStorage.clear();
+    }
+});
+
+test("Synced models apply snapshots from other tabs", async () => {
+    if (typeof BroadcastChannel === "undefined") return;
+
+    class Settings extends Model {
+        static sync = true;
+        theme = "light";
+        notifications = true;
+    }
+
+    const settings = new Settings("sync-receive-test");
+    const changes = [];
+    settings.on("theme", (value) => changes.push(value));
+
+    const otherTab = new BroadcastChannel("simple-state-library");
+    try {
+        otherTab.postMessage({
+            name: "sync-receive-test",
+            snapshot: Model.serialize({ __savedAt: Date.now(), theme: "dark", notifications: false }),
+        });
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        assertEquals(settings.theme, "dark", "Remote value applied");
+        assertEquals(changes.join(","), "dark", "Applied through the normal change path");
+    } finally {
+        otherTab.close();
+        sessionStorage.clear();
+    }
+});
+
+test("Custom conflict policies merge remote snapshots", async () => {
+    if (typeof BroadcastChannel === "undefined") return;
+
+    class Cart extends Model {
+        static sync = {
+            conflict: (local, remote) => ({ ...remote, items: [...new Set([...local.items, ...remote.items])] }),
+        };
+        items = ["apple"];
+    }
+
+    const cart = new Cart("sync-merge-test");
+    const otherTab = new BroadcastChannel("simple-state-library");
+    try {
+        otherTab.postMessage({
+            name: "sync-merge-test",
+            snapshot: Model.serialize({ __savedAt: Date.now(), items: ["pear"] }),
+        });
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        assertEquals(cart.items.join(","), "apple,pear", "Merged result applied");
+    } finally {
+        otherTab.close();
+        sessionStorage.clear();
+    }
+});
+
+test("Endpoint templates are filled from model fields", async () => {
+    class User extends Model {
+        id = null;
+        name = "";
+        endpoint = "/api/users/:id";
+    }
+
+    const { calls, restore } = mockFetch(() => ({ body: { id: 7 } }));
+    try {
+        const user = new User("template-test");
+        await user.post({ params: { notify: true, skip: null } });
+        await user.get();
+        await user.delete();
+
+        assertEquals(calls[0].url, "/api/users?notify=true", "Empty placeholder dropped, params appended");
+        assertEquals(calls[1].url, "/api/users/7", "Placeholder filled from the response id");
+        assertEquals(calls[2].method, "DELETE", "delete() sends DELETE");
+
+        const unsaved = new User("template-test-unsaved");
+        for (const method of ["get", "put", "patch", "delete"]) {
+            let error = null;
+            try {
+                await unsaved[method]();
+            } catch (e) {
+                error = e;
+            }
+            assert(error && error.field === "id", `${method}() without an id throws`);
+        }
+        assertEquals(calls.length, 3, "Nothing is sent without an id");
+    } finally {
+        restore();
+        sessionStorage.clear();
+    }
+});
+
+test("patch() sends only the fields changed since the last sync", async () => {
+    class User extends Model {
+        id = 1;
+        name = "Ann";
+        role = "viewer";
+        endpoint = "/api/users/:id";
+    }
+
+    const { calls, restore } = mockFetch((url, init) => ({
+        body: init.method === "GET" ? { id: 1, name: "Ann", role: "viewer" } : undefined,
+    }));
+    try {
+        const user = new User("patch-test");
+        await user.get();
+        user.role = "admin";
+        await user.patch();
+        await user.patch();
+        await user.put();
+
+        assertEquals(calls.length, 3, "Second patch() without changes sends nothing");
+        assertEquals(JSON.stringify(calls[1].body), '{"role":"admin"}', "PATCH body has only the change");
+        assertEquals(calls[2].method, "PUT", "put() sends PUT");
+        assertEquals(calls[2].body.name, "Ann", "PUT body is the full model");
+    } finally {
+        restore();
+        sessionStorage.clear();
+    }
+});
+
+test("Request options merge from Model.http, the class and the call", async () => {
+    class User extends Model {
+        static http = {
+            headers: { "X-Client": "tests" },
+            credentials: "include",
+            token: async () => "secret",
+        };
+        endpoint = "/api/user";
+    }
+
+    const { calls, restore } = mockFetch(() => ({ body: {} }));
+    const previous = Model.http;
+    Model.http = { headers: { "X-Global": "1" } };
+    try {
+        const user = new User("http-options-test");
+        await user.get({ headers: { "X-Call": "2" } });
+
+        const { headers, credentials } = calls[0];
+        assertEquals(headers["X-Global"], "1", "Global header");
+        assertEquals(headers["X-Client"], "tests", "Class header");
+        assertEquals(headers["X-Call"], "2", "Per-call header");
+        assertEquals(headers.Authorization, "Bearer secret", "Token becomes a bearer header");
+        assertEquals(credentials, "include", "Credentials passed to fetch");
+    } finally {
+        Model.http = previous;
+        restore();
+        sessionStorage.clear();
+    }
+});
+
+test("Failed requests reject with the HTTP status", async () => {
+    class User extends Model {
+        endpoint = "/api/user";
+    }
+
+    const { restore } = mockFetch(() => ({ status: 404 }));
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const user = new User("http-error-test");
+        let error = null;
+        await user.put().catch((e) => { error = e; });
+        assert(error !== null, "put() should reject");
+        assertEquals(error.status, 404, "Error carries the status");
+    } finally {
+        console.error = originalError;
+        restore();
+        sessionStorage.clear();
+    }
+});
+
+test("Requests are tracked in $loading, $error and $lastSyncedAt", async () => {
+    class User extends Model {
+        name = "";
+        endpoint = "/api/user";
+    }
+
+    let fail = false;
+    const { restore } = mockFetch(async () => {
+        await delay(5);
+        return fail ? { status: 500 } : { body: { name: "Ann" } };
+    });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const user = new User("request-state-test");
+        const request = user.get();
+        assertEquals(user.$loading, true, "$loading while the request runs");
+        await request;
+        assertEquals(user.$loading, false, "$loading cleared afterwards");
+        assert(user.$lastSyncedAt instanceof Date, "$lastSyncedAt set on success");
+
+        fail = true;
+        await user.get().catch(() => {});
+        assertEquals(user.$error, "HTTP error! status: 500", "$error holds the failure");
+
+        Model.flush();
+        const stored = JSON.parse(sessionStorage.getItem("model:request-state-test"));
+        assert(!stored.hasOwnProperty("$loading") && !stored.hasOwnProperty("$error"), "Request state is not persisted");
+    } finally {
+        console.error = originalError;
+        restore();
+        sessionStorage.clear();
+    }
+});
+
+test("A new get() aborts the previous one", async () => {
+    class User extends Model {
+        name = "";
+        endpoint = "/api/user";
+    }
+
+    const { restore } = mockFetch(async (url, init, count) => {
+        await delay(count === 1 ? 30 : 5);
+        return { body: { name: count === 1 ? "stale" : "fresh" } };
+    });
+    try {
+        const user = new User("supersede-test");
+        const first = user.get().then(() => "resolved", () => "aborted");
+        await user.get();
+
+        assertEquals(await first, "aborted", "Superseded get() rejects");
+        assertEquals(user.name, "fresh", "Only the latest response is applied");
+        assertEquals(user.$error, null, "Aborts are not reported as errors");
+    } finally {
+        restore();
+        sessionStorage.clear();
+    }
+});
+
+test("Requests can be cancelled with an AbortSignal", async () => {
+    class User extends Model {
+        endpoint = "/api/user";
+    }
+
+    const { restore } = mockFetch(async () => {
+        await delay(30);
+        return { body: {} };
+    });
+    try {
+        // Callers need their own AbortController to cancel (Node 15+, every current browser)
+        if (typeof AbortController === "undefined") return;
+
+        const user = new User("signal-test");
+        const controller = new AbortController();
+        const request = user.post({ signal: controller.signal }).then(() => "resolved", () => "aborted");
+        controller.abort();
+
+        assertEquals(await request, "aborted", "post() rejects when aborted");
+        assertEquals(user.$loading, false, "$loading cleared");
+    } finally {
+        restore();
+        sessionStorage.clear();
+    }
+});
+
+test("Timeouts and 5xx responses are retried with backoff", async () => {
+    class User extends Model {
+        static http = { retries: 2, retryDelay: 1, timeout: 20 };
+        name = "";
+        endpoint = "/api/user";
+    }
+
+    const { calls, restore } = mockFetch(async (url, init, count) => {
+        if (count === 1) return { status: 503 };
+        if (count === 2) await delay(100);
+        return { body: { name: "third time" } };
+    });
+    try {
+        const user = new User("retry-test");
+        await user.get();
+
+        assertEquals(calls.length, 3, "Two retries");
+        assertEquals(user.name, "third time", "Result of the successful attempt");
+    } finally {
+        restore();
+        sessionStorage.clear();
+    }
+});
+
+test("Client errors are not retried", async () => {
+    class User extends Model {
+        static http = { retries: 3, retryDelay: 1 };
+        endpoint = "/api/user";
+    }
+
+    const { calls, restore } = mockFetch(() => ({ status: 400 }));
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const user = new User("no-retry-test");
+        await user.get().catch(() => {});
+        assertEquals(calls.length, 1, "4xx fails immediately");
+    } finally {
+        console.error = originalError;
+        restore();
+        sessionStorage.clear();
+    }
+});
+
+test("Collections add, find, filter, sort and remove items", () => {
+    class Todo extends Model {
+        id = null;
+        title = "";
+        done = false;
+    }
+    class TodoList extends Collection {
+        static model = Todo;
+    }
+
+    const todos = new TodoList("collection-test");
+    const first = todos.add({ id: 1, title: "Write docs" });
+    todos.add({ id: 2, title: "Ship it", done: true });
+    todos.add(new Todo("collection-test-extra"));
+
+    assert(first instanceof Todo, "Records become item models");
+    assertEquals(todos.items.length, 3, "Three items");
+    assertEquals(todos.find(2).title, "Ship it", "find() by id");
+    assertEquals(todos.find({ title: "Write docs" }), first, "find() by fields");
+    assertEquals(todos.filter((todo) => !todo.done).length, 2, "filter() with a predicate");
+
+    todos.sort("title");
+    assertEquals(todos.items[1].title, "Ship it", "sort() by field");
+
+    assertEquals(todos.remove(1), first, "remove() returns the item");
+    assertEquals(todos.items.length, 2, "Item removed");
+    assert(!todos.find(1), "Removed item is gone");
+
+    sessionStorage.clear();
+});
+
+test("Collection items are persisted individually and restored", () => {
+    class Todo extends Model {
+        title = "";
+    }
+    class TodoList extends Collection {
+        static model = Todo;
+    }
+
+    const todos = new TodoList("collection-persist-test");
+    const todo = todos.add({ title: "Buy milk" });
+    Model.flush();
+
+    const itemKey = `model:${todo.__instanceName}`;
+    assertEquals(JSON.parse(sessionStorage.getItem(itemKey)).title, "Buy milk", "Item stored under its own key");
+    assertEquals(
+        JSON.parse(sessionStorage.getItem("model:collection-persist-test")).items[0],
+        todo.__instanceName,
+        "Collection stores item names"
+    );
+
+    const restored = new TodoList("collection-persist-test");
+    assertEquals(restored.items.length, 1, "Items restored");
+    assert(restored.items[0] instanceof Todo, "Restored items are models");
+    assertEquals(restored.items[0].title, "Buy milk", "Item state restored");
+
+    restored.remove(restored.items[0]);
+    Model.flush();
+    assertEquals(sessionStorage.getItem(itemKey), null, "Removing an item discards its snapshot");
+
+    sessionStorage.clear();
+});
+
+test("Collection subscribers see item changes", () => {
+    class Todo extends Model {
+        done = false;
+    }
+    class TodoList extends Collection {
+        static model = Todo;
+
+        get remaining() {
+            return this.items.filter((todo) => !todo.done).length;
+        }
+    }
+
+    const todos = new TodoList("collection-events-test");
+    const todo = todos.add({});
+    assertEquals(todos.remaining, 1, "One remaining");
+
+    const seen = [];
+    todos.on("*", (value, oldValue, path) => seen.push(path));
+    todo.done = true;
+
+    assertEquals(seen[0], "items.0.done", "Item change reported by path");
+    assertEquals(todos.remaining, 0, "Computed recalculated");
+
+    sessionStorage.clear();
+});
+
+test("fetch() reconciles the list and items sync to /:id", async () => {
+    class Todo extends Model {
+        id = null;
+        title = "";
+    }
+    class TodoList extends Collection {
+        static model = Todo;
+        endpoint = "/api/todos";
+    }
+
+    const todos = new TodoList("collection-rest-test");
+    const kept = todos.add({ id: 1, title: "Old title" });
+    todos.add({ id: 9, title: "Deleted elsewhere" });
+
+    const { calls, restore } = mockFetch((url, init) => {
+        if (init.method === "GET") {
+            return { body: [{ id: 2, title: "New" }, { id: 1, title: "New title" }] };
+        }
+        return { body: { ...JSON.parse(init.body || "{}"), id: 3 } };
+    });
+    try {
+        await todos.fetch();
+
+        assertEquals(todos.items.length, 2, "Missing records removed");
+        assertEquals(todos.items[1], kept, "Existing items are reused");
+        assertEquals(kept.title, "New title", "Existing items updated");
+        assertEquals(todos.items[0].title, "New", "New records added in server order");
+
+        kept.title = "Edited";
+        await kept.put();
+        assertEquals(calls[1].url, "/api/todos/1", "Items use the collection endpoint plus id");
+
+        const created = await todos.create({ title: "Created" });
+        assertEquals(calls[2].url, "/api/todos", "New items are POSTed to the collection endpoint");
+        assertEquals(created.id, 3, "Created item updated from the response");
+
+        const unsaved = todos.add({ title: "Unsaved" });
+        let error = null;
+        try {
+            await todos.destroy(unsaved);
+        } catch (e) {
+            error = e;
+        }
+        assert(error && error.field === "id", "destroy() of an item without an id throws");
+        assertEquals(calls.length, 3, "No DELETE sent to the collection endpoint");
+        assert(todos.items.includes(unsaved), "Item kept when destroy() fails");
+    } finally {
+        restore();
+        sessionStorage.clear();
+    }
+});
+
+domTest("data-each renders a row per item and keeps rows by key", () => {
+    class Todo extends Model {
+        id = null;
+        title = "";
+    }
+    class TodoList extends Collection {
+        static model = Todo;
+    }
+
+    const container = document.createElement("ul");
+    container.setAttribute("data-each", "todo in eachTodos.items");
+    container.setAttribute("data-key", "id");
+    container.innerHTML = '<template><li><span data-bind="$index"></span>:<span data-bind="todo.title"></span></li></template>';
+    document.body.appendChild(container);
+
+    try {
+        const todos = new TodoList("eachTodos");
+        todos.add({ id: 1, title: "one" });
+        todos.add({ id: 2, title: "two" });
+        Model.flush();
+
+        const rows = () => Array.from(container.querySelectorAll("li")).map((li) => li.textContent);
+        assertEquals(rows().join(), "0:one,1:two", "One row per item");
+
+        const first = container.querySelector("li");
+        todos.find(2).title = "TWO";
+        todos.sort((a, b) => b.id - a.id);
+        Model.flush();
+
+        assertEquals(rows().join(), "0:TWO,1:one", "Rows reordered and patched");
+        assertEquals(container.querySelectorAll("li")[1], first, "Existing rows are moved, not rebuilt");
+
+        todos.remove(1);
+        Model.flush();
+        assertEquals(rows().join(), "0:TWO", "Removed items lose their row");
+    } finally {
+        container.remove();
+        sessionStorage.clear();
+    }
+});
+
+domTest("data-each rows show changes to items that moved", () => {
+    class Checklist extends Model {
+        tasks = [{ name: "a", done: false }];
+    }
+
+    const list = new Checklist("movedRows", false);
+    const container = document.createElement("ul");
+    container.setAttribute("data-each", "task in movedRows.tasks");
+    container.innerHTML = '<template><li><span data-bind="task.name"></span>:<span data-bind="task.done"></span></li></template>';
+    document.body.appendChild(container);
+
+    try {
+        Model.mount(container);
+        const rows = () => Array.from(container.querySelectorAll("li")).map((li) => li.textContent);
+
+        assertEquals(list.tasks[0].name, "a", "Item read before the move");
+        list.tasks.unshift({ name: "b", done: false });
+        Model.flush();
+        list.tasks[1].done = true;
+        Model.flush();
+        assertEquals(rows().join(), "b:false,a:true", "The moved item's row is patched");
+    } finally {
+        Model.unmount(container);
+        container.remove();
+    }
+});
+
+domTest("data-model inside data-each rows writes to the row's item", () => {
+    class Shop extends Model {
+        products = [{ name: "Tea" }, { name: "Coffee" }];
+    }
+
+    const container = document.createElement("div");
+    container.setAttribute("data-each", "eachShop.products");
+    container.innerHTML = '<template><input data-model="item.name"></template>';
+    document.body.appendChild(container);
+
+    try {
+        const shop = new Shop("eachShop");
+        Model.flush();
+
+        const inputs = container.querySelectorAll("input");
+        assertEquals(inputs[1].value, "Coffee", "Row inputs show their item");
+
+        inputs[1].value = "Espresso";
+        inputs[1].dispatchEvent(new Event("input"));
+        assertEquals(shop.products[1].name, "Espresso", "Input writes the nested item field");
+        assertEquals(shop.products[0].name, "Tea", "Other items untouched");
+    } finally {
+        container.remove();
+        sessionStorage.clear();
+    }
+});
+
+domTest("Attribute, class, style, show and disabled directives follow the model", () => {
+    class Tab extends Model {
+        url = "/home";
+        isOpen = false;
+        theme = "dark";
+        color = "red";
+    }
+
+    const root = document.createElement("div");
+    root.innerHTML = `
+        <a data-bind-attr="href:directiveTab.url"></a>
+        <div data-bind-class="open:directiveTab.isOpen, directiveTab.theme"></div>
+        <p data-bind-style="backgroundColor:directiveTab.color" data-show="directiveTab.isOpen"></p>
+        <button data-disabled="directiveTab.$loading"></button>
+    `;
+    document.body.appendChild(root);
+
+    try {
+        const tab = new Tab("directiveTab");
+        Model.flush();
+
+        const link = root.querySelector("a");
+        const panel = root.querySelector("div");
+        const text = root.querySelector("p");
+        const button = root.querySelector("button");
+
+        assertEquals(link.getAttribute("href"), "/home", "Attribute set");
+        assertEquals(panel.className, "dark", "Class-valued binding");
+        assertEquals(text.style.backgroundColor, "red", "Style set");
+        assertEquals(text.style.display, "none", "Hidden while false");
+        assertEquals(button.disabled, false, "Enabled while idle");
+
+        tab.url = null;
+        tab.isOpen = true;
+        tab.theme = "light";
+        tab.$loading = true;
+        Model.flush();
+
+        assert(!link.hasAttribute("href"), "Null removes the attribute");
+        assertEquals(panel.className, "open light", "Classes toggled and replaced");
+        assertEquals(text.style.display, "", "Shown while true");
+        assertEquals(button.disabled, true, "Disabled while loading");
+    } finally {
+        root.remove();
+        sessionStorage.clear();
+    }
+});
+
+domTest("data-if removes and restores elements, data-html is sanitized", () => {
+    class Panel extends Model {
+        visible = false;
+        title = "Hello";
+        html = '<b onclick="steal()">bold</b><script>steal()</script><a href="javascript:steal()">link</a>';
+    }
+
+    const root = document.createElement("div");
+    root.innerHTML = `
+        <section data-if="ifPanel.visible"><h1 data-bind="ifPanel.title"></h1></section>
+        <div data-html="ifPanel.html"></div>
+    `;
+    document.body.appendChild(root);
+
+    try {
+        const panel = new Panel("ifPanel");
+        Model.flush();
+
+        assertEquals(root.querySelector("section"), null, "Removed while false");
+        assertEquals(root.querySelector("div").innerHTML, "<b>bold</b><a>link</a>", "Scripts, handlers and javascript: URLs stripped");
+
+        panel.html = '<svg><a><animate attributeName="href" values="javascript:steal()"/><text>a</text></a>' +
+            '<a><set attributeName="href" to="javascript:steal()"/><animateMotion/><text>b</text></a></svg>';
+        Model.flush();
+        const svg = root.querySelector("div svg");
+        assertEquals(svg.querySelectorAll("a").length, 2, "SVG links kept");
+        assertEquals(svg.querySelectorAll("*").length, 4, "SVG animate, set and animateMotion stripped");
+
+        panel.title = "Changed while hidden";
+        Model.flush();
+        panel.visible = true;
+        Model.flush();
+
+        assertEquals(root.querySelector("h1").textContent, "Changed while hidden", "Restored with current values");
+        panel.title = "Live";
+        Model.flush();
+        assertEquals(root.querySelector("h1").textContent, "Live", "Bindings inside keep updating");
+    } finally {
+        root.remove();
+        sessionStorage.clear();
+    }
+});
+
+domTest("data-on calls model methods with the event and applies modifiers", async () => {
+    class Form extends Model {
+        saves = 0;
+        searches = 0;
+        lastEvent = null;
+
+        save(event) {
+            this.saves++;
+            this.lastEvent = event.type;
+        }
+
+        search() {
+            this.searches++;
+        }
+
+        async fail() {
+            throw new Error("Server unavailable");
+        }
+    }
+
+    const root = document.createElement("form");
+    root.innerHTML = `
+        <a href="#nowhere" data-on="click.prevent.once:eventForm.save">Save</a>
+        <input data-on="input.debounce.20:eventForm.search">
+        <button type="button" data-on="click:eventForm.fail">Fail</button>
+    `;
+    document.body.appendChild(root);
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const form = new Form("eventForm");
+        Model.flush();
+
+        const link = root.querySelector("a");
+        const click = new MouseEvent("click", { bubbles: true, cancelable: true });
+        link.dispatchEvent(click);
+        link.dispatchEvent(new MouseEvent("click", { bubbles: true, cancelable: true }));
+
+        assertEquals(form.saves, 1, "once: called a single time");
+        assertEquals(form.lastEvent, "click", "Method receives the event");
+        assert(click.defaultPrevented, "prevent: default action prevented");
+
+        const input = root.querySelector("input");
+        input.dispatchEvent(new Event("input"));
+        input.dispatchEvent(new Event("input"));
+        input.dispatchEvent(new Event("input"));
+        await delay(40);
+        assertEquals(form.searches, 1, "debounce: one call after the events stop");
+
+        let reported = null;
+        root.addEventListener("model:error", (event) => {
+            reported = event.detail;
+        });
+        root.querySelector("button").click();
+        await delay(0);
+        assertEquals(reported && reported.error.message, "Server unavailable", "Rejections are dispatched as model:error");
+        assertEquals(reported.handler, "eventForm.fail", "The error names the handler");
+    } finally {
+        console.error = originalError;
+        root.remove();
+        sessionStorage.clear();
+    }
+});
+
+domTest("data-on does not report a get() superseded by the next click", async () => {
+    class User extends Model {
+        endpoint = "/api/user";
+        name = "";
+    }
+
+    const root = document.createElement("div");
+    root.innerHTML = `<button type="button" data-on="click:reloadUser.get">Reload</button>`;
+    document.body.appendChild(root);
+    const { calls, restore } = mockFetch(async () => {
+        await delay(10);
+        return { body: { name: "Ann" } };
+    });
+
+    try {
+        const user = new User("reloadUser", false);
+        Model.flush();
+
+        const reported = [];
+        root.addEventListener("model:error", (event) => reported.push(event.detail));
+        const button = root.querySelector("button");
+        button.click();
+        button.click();
+        await delay(30);
+
+        assertEquals(calls.length, 2, "Both clicks sent a request");
+        assertEquals(user.name, "Ann", "The second response is applied");
+        assertEquals(reported.length, 0, "The aborted first request is not an error");
+    } finally {
+        restore();
+        root.remove();
+        sessionStorage.clear();
+    }
+});
+
+domTest("data-model writes nested paths and typed values", () => {
+    class Profile extends Model {
+        address = { city: "Oslo", zip: "0150" };
+        age = 30;
+        level = 2;
+        birthday = null;
+        tags = ["b"];
+        plan = "free";
+    }
+
+    const root = document.createElement("form");
+    root.innerHTML = `
+        <input name="city" data-model="typedProfile.address.city">
+        <input name="age" type="number" data-model="typedProfile.age">
+        <select name="level" data-model="typedProfile.level"><option>1</option><option>2</option></select>
+        <input name="birthday" type="date" data-model="typedProfile.birthday">
+        <select name="tags" multiple data-model="typedProfile.tags"><option>a</option><option>b</option></select>
+        <input type="radio" name="plan" value="free" data-model="typedProfile.plan">
+        <input type="radio" name="plan" value="pro" data-model="typedProfile.plan">
+    `;
+    document.body.appendChild(root);
+
+    const input = (name, event = "input") => {
+        root.elements[name].dispatchEvent(new Event(event, { bubbles: true }));
+    };
+
+    try {
+        const profile = new Profile("typedProfile");
+        Model.flush();
+
+        assertEquals(root.elements.tags.options[1].selected, true, "Multi-select rendered from an array");
+        assertEquals(root.elements.plan[0].checked, true, "Radio rendered by value");
+
+        root.elements.city.value = "Bergen";
+        input("city");
+        assertEquals(profile.address.city, "Bergen", "Nested path written");
+        assertEquals(profile.address.zip, "0150", "Siblings kept");
+
+        root.elements.age.value = "42";
+        input("age");
+        assertEquals(profile.age, 42, "Number inputs write numbers");
+
+        root.elements.level.value = "1";
+        input("level", "change");
+        assertEquals(profile.level, 1, "Selects bound to a number stay numeric");
+
+        root.elements.birthday.value = "2024-05-06";
+        input("birthday");
+        assert(profile.birthday instanceof Date, "Date inputs write Dates");
+        assertEquals(profile.birthday.toISOString().slice(0, 10), "2024-05-06", "Date value");
+
+        root.elements.tags.options[0].selected = true;
+        input("tags", "change");
+        assertEquals(profile.tags.join(), "a,b", "Multi-selects write arrays");
+
+        root.elements.plan[1].checked = true;
+        root.elements.plan[1].dispatchEvent(new Event("change", { bubbles: true }));
+        assertEquals(profile.plan, "pro", "Radio groups write the checked value");
+
+        profile.age = 7;
+        Model.flush();
+        assertEquals(root.elements.age.value, "7", "Numbers rendered back");
+    } finally {
+        root.remove();
+        sessionStorage.clear();
+    }
+});
+
+domTest("data-model modifiers debounce, trim, lazy and format values", async () => {
+    class Search extends Model {
+        query = "";
+        name = "";
+        price = 12.5;
+    }
+
+    const root = document.createElement("div");
+    root.innerHTML = `
+        <input class="query" data-model="pipeSearch.query|debounce:20|trim">
+        <input class="name" data-model="pipeSearch.name" data-model-lazy>
+        <input class="price" data-model="pipeSearch.price|currency:EUR">
+        <input class="custom" data-model="pipeSearch.name|upper">
+    `;
+    document.body.appendChild(root);
+    Model.formatters.upper = { parse: (text) => text.toUpperCase() };
+
+    try {
+        const search = new Search("pipeSearch");
+        Model.flush();
+
+        const query = root.querySelector(".query");
+        query.value = " te";
+        query.dispatchEvent(new Event("input"));
+        query.value = " tea ";
+        query.dispatchEvent(new Event("input"));
+        assertEquals(search.query, "", "Nothing written while typing");
+        await delay(40);
+        assertEquals(search.query, "tea", "Written once typing pauses, trimmed");
+
+        const name = root.querySelector(".name");
+        name.value = "Ann";
+        name.dispatchEvent(new Event("input"));
+        assertEquals(search.name, "", "Lazy fields ignore input events");
+        name.dispatchEvent(new Event("change"));
+        assertEquals(search.name, "Ann", "Lazy fields write on change");
+
+        const price = root.querySelector(".price");
+        assert(price.value.includes("12.50"), "Value formatted for display");
+        price.value = "20";
+        price.dispatchEvent(new Event("input"));
+        assertEquals(search.price, 20, "Formatted input parsed back to a number");
+        Model.flush();
+        assertEquals(price.value, "20", "Field left alone while editing");
+        price.dispatchEvent(new Event("change"));
+        assert(price.value.includes("20.00"), "Reformatted after editing");
+
+        const custom = root.querySelector(".custom");
+        custom.value = "bob";
+        custom.dispatchEvent(new Event("input"));
+        assertEquals(search.name, "BOB", "Custom parsers can be registered");
+    } finally {
+        delete Model.formatters.upper;
+        root.remove();
+        sessionStorage.clear();
+    }
+});
+
+domTest("Elements are bound as they enter the DOM and detached when they leave", async () => {
+    class Panel extends Model {
+        title = "Inbox";
+        clicks = 0;
+
+        count() {
+            this.clicks++;
+        }
+    }
+
+    const panel = new Panel("mountPanel");
+    const root = document.createElement("div");
+    document.body.appendChild(root);
+    const host = document.createElement("div");
+    document.body.appendChild(host);
+
+    try {
+        // Added after the model exists: picked up by the observer
+        root.innerHTML = `
+            <input data-model="mountPanel.title">
+            <button data-on="click:mountPanel.count">Count</button>
+        `;
+        await delay(0);
+
+        const input = root.querySelector("input");
+        assertEquals(input.value, "Inbox", "Added field rendered");
+        input.value = "Archive";
+        input.dispatchEvent(new Event("input"));
+        assertEquals(panel.title, "Archive", "Added field writes to the model");
+
+        const button = root.querySelector("button");
+        button.click();
+        assertEquals(panel.clicks, 1, "Added handler attached");
+
+        // Removed: listeners detached
+        root.removeChild(button);
+        root.removeChild(input);
+        await delay(0);
+        button.click();
+        assertEquals(panel.clicks, 1, "Removed handler detached");
+        input.value = "Spam";
+        input.dispatchEvent(new Event("input"));
+        assertEquals(panel.title, "Archive", "Removed field detached");
+
+        // Shadow roots are mounted explicitly
+        const shadow = host.attachShadow({ mode: "open" });
+        shadow.innerHTML = `<span data-bind="mountPanel.title"></span>`;
+        const unmount = Model.mount(shadow);
+        const span = shadow.querySelector("span");
+        assertEquals(span.textContent, "Archive", "Shadow root bindings rendered");
+        panel.title = "Sent";
+        Model.flush();
+        assertEquals(span.textContent, "Sent", "Shadow root bindings updated");
+
+        unmount();
+        panel.title = "Drafts";
+        Model.flush();
+        assertEquals(span.textContent, "Sent", "Unmounted bindings no longer updated");
+    } finally {
+        root.remove();
+        host.remove();
+        sessionStorage.clear();
+    }
+});
+
+test("Rules validate on change and block invalid posts", async () => {
+    const { required, email, min } = Model.validators;
+    const taken = ["ann@example.com"];
+
+    class Signup extends Model {
+        static rules = {
+            email: [required, email, async (value) => (taken.includes(value) ? "Already registered" : true)],
+            age: min(18, "Adults only"),
+        };
+        endpoint = "/api/signup";
+        email = "";
+        age = 30;
+    }
+
+    const { calls, restore } = mockFetch(() => ({ body: {} }));
+
+    try {
+        const signup = new Signup("signupForm", false);
+        await signup.$ready;
+        await delay(0);
+        assertEquals(signup.$errors.email, "This field is required", "Initial values are checked");
+        assertEquals(signup.$valid, false, "Invalid while a rule fails");
+        assertEquals(signup.$dirty.email, undefined, "Not dirty before any change");
+
+        signup.email = "ann";
+        await delay(0);
+        assertEquals(signup.$errors.email, "Enter a valid email address", "Changes are validated");
+        assertEquals(signup.$dirty.email, true, "Changed field is dirty");
+
+        assertEquals(await signup.validate(), false, "validate() reports failing rules");
+        assertEquals(signup.$touched.age, true, "validate() marks fields touched");
+
+        signup.email = "ann@example.com";
+        await delay(0);
+        assertEquals(signup.$errors.email, "Already registered", "Async validators are awaited");
+
+        signup.age = 12;
+        let error = null;
+        try {
+            await signup.post();
+        } catch (e) {
+            error = e;
+        }
+        assert(error !== null, "Invalid post() rejects");
+        assertEquals(error.errors.age, "Adults only", "Error lists the failing fields");
+        assertEquals(calls.length, 0, "Invalid model is not sent");
+
+        signup.email = "bob@example.com";
+        signup.age = 40;
+        assertEquals(await signup.validate(), true, "validate() passes once every rule does");
+        await signup.post();
+        assertEquals(signup.$valid, true, "Valid once every rule passes");
+        assertEquals(calls.length, 1, "Valid model is sent");
+        assertEquals(signup.$dirty.email, undefined, "Saved fields are no longer dirty");
+    } finally {
+        restore();
+        sessionStorage.clear();
+    }
+});
+
+domTest("Errors are bindable and inputs mark fields touched", async () => {
+    const { email } = Model.validators;
+
+    class Signup extends Model {
+        static rules = { email };
+        email = "";
+    }
+
+    const root = document.createElement("div");
+    root.innerHTML = `
+        <input data-model="signupInput.email">
+        <span data-bind="signupInput.$errors.email"></span>
+    `;
+    document.body.appendChild(root);
+
+    try {
+        const signup = new Signup("signupInput", false);
+        await signup.$ready;
+        const input = root.querySelector("input");
+        input.value = "ann";
+        input.dispatchEvent(new Event("input"));
+        input.dispatchEvent(new Event("blur"));
+        await delay(0);
+        Model.flush();
+        assertEquals(root.querySelector("span").textContent, "Enter a valid email address", "Errors are bindable");
+        assertEquals(signup.$dirty.email, true, "Changed field is dirty");
+        assertEquals(signup.$touched.email, true, "Left field is touched");
+    } finally {
+        root.remove();
+        sessionStorage.clear();
+    }
+});
+
+test("History undoes and redoes steps, coalescing rapid edits", async () => {
+    class Doc extends Model {
+        static history = { limit: 2, coalesce: 20 };
+        title = "Draft";
+        tags = ["a"];
+    }
+
+    const doc = new Doc("historyDoc", false);
+    assertEquals(doc.canUndo, false, "Nothing to undo yet");
+
+    doc.title = "D";
+    doc.title = "Do";
+    Model.flush();
+    doc.title = "Doc";
+    Model.flush();
+    await delay(30);
+    doc.tags.push("b");
+    Model.flush();
+
+    assertEquals(doc.undo(), true, "undo() reports a step");
+    Model.flush();
+    assertEquals(doc.tags.length, 1, "Nested change undone");
+    assertEquals(doc.title, "Doc", "Earlier step kept");
+
+    doc.undo();
+    Model.flush();
+    assertEquals(doc.title, "Draft", "Rapid edits undone as one step");
+    assertEquals(doc.canUndo, false, "Back at the start");
+
+    doc.redo();
+    doc.redo();
+    Model.flush();
+    assertEquals(doc.title, "Doc", "Redo re-applies");
+    assertEquals(doc.tags.join(","), "a,b", "Redo re-applies nested changes");
+    assertEquals(doc.canRedo, false, "Nothing left to redo");
+
+    for (const title of ["One", "Two", "Three"]) {
+        await delay(30);
+        doc.title = title;
+        Model.flush();
+    }
+    doc.undo();
+    doc.undo();
+    Model.flush();
+    assertEquals(doc.title, "One", "Undo stops at the depth limit");
+    assertEquals(doc.undo(), false, "Older steps dropped");
+});
+
+test("snapshot(), restore() and reset() return to earlier state", () => {
+    class Filters extends Model {
+        query = "";
+        range = { from: 1, to: 10 };
+        since = new Date(0);
+    }
+
+    const filters = new Filters("snapshotFilters", false);
+    filters.query = "shoes";
+    const saved = filters.snapshot();
+
+    filters.range.to = 50;
+    filters.query = "hats";
+    assertEquals(saved.range.to, 10, "Snapshots are copies");
+
+    filters.restore(saved);
+    assertEquals(filters.query, "shoes", "restore() applies the snapshot");
+    assertEquals(filters.range.to, 10, "Nested values restored");
+
+    filters.range.from = 5;
+    filters.reset();
+    assertEquals(filters.query, "", "reset() returns to class defaults");
+    assertEquals(filters.range.from, 1, "Nested defaults restored");
+    assert(filters.since instanceof Date, "Dates stay dates");
+});
+
+test("Dirty tracking compares against the last sync", async () => {
+    class Profile extends Model {
+        endpoint = "/api/profile";
+        name = "";
+        tags = [];
+    }
+
+    const { restore } = mockFetch(() => ({ body: { name: "Ann", tags: ["admin"] } }));
+
+    try {
+        const profile = new Profile("dirtyProfile", false);
+        assertEquals(profile.isDirty, false, "Clean with class defaults");
+
+        await profile.get();
+        assertEquals(profile.isDirty, false, "Clean after get()");
+
+        profile.name = "Anna";
+        profile.tags.push("editor");
+        assertEquals(profile.isDirty, true, "Dirty after an edit");
+
+        const changes = profile.changes();
+        assertEquals(Object.keys(changes).join(","), "name,tags", "changes() lists changed fields");
+        assertEquals(changes.name.from, "Ann", "Old value from the last sync");
+        assertEquals(changes.name.to, "Anna", "New value");
+        assertEquals(changes.tags.from.length, 1, "Nested values compared");
+
+        profile.revert();
+        assertEquals(profile.name, "Ann", "revert() restores the synced values");
+        assertEquals(profile.tags.join(","), "admin", "revert() restores nested values");
+        assertEquals(profile.isDirty, false, "Clean after revert()");
+
+        profile.name = "Bob";
+        profile.markClean();
+        assertEquals(profile.isDirty, false, "markClean() accepts the current state");
+    } finally {
+        restore();
+        Model.unregister("dirtyProfile");
+        sessionStorage.clear();
+    }
+});
+
+domTest("isDirty can be bound", () => {
+    class Profile extends Model {
+        name = "";
+    }
+
+    const root = document.createElement("div");
+    root.innerHTML = `<span data-show="dirtyNotice.isDirty">Unsaved changes</span>`;
+    document.body.appendChild(root);
+
+    try {
+        const profile = new Profile("dirtyNotice", false);
+        Model.flush();
+        const notice = root.querySelector("span");
+        assertEquals(notice.style.display, "none", "Hidden while clean");
+
+        profile.name = "Anna";
+        Model.flush();
+        assertEquals(notice.style.display, "", "Shown while dirty");
+
+        profile.markClean();
+        Model.flush();
+        assertEquals(notice.style.display, "none", "Hidden again after markClean()");
+    } finally {
+        root.remove();
+        Model.unregister("dirtyNotice");
+        sessionStorage.clear();
+    }
+});
+
+test("Serialized state hydrates models instead of fetching again", async () => {
+    class Account extends Model {
+        endpoint = "/api/account";
+        name = "";
+        joined = null;
+    }
+
+    const server = new Account("hydrateAccount", false);
+    server.name = "Ann </script>";
+    server.joined = new Date("2024-01-02T00:00:00Z");
+    const state = Model.serializeState(["hydrateAccount"]);
+    assert(!state.includes("</script>"), "Safe to embed in a script element");
+
+    // The client creates its model after hydrating...
+    Model.unregister("hydrateAccount");
+    Model.hydrate(state);
+    const client = new Account("hydrateAccount", false);
+    assertEquals(client.name, "Ann </script>", "Created model starts from the server state");
+    assert(client.joined instanceof Date, "Types survive");
+
+    const { calls, restore } = mockFetch(() => ({ body: { name: "Bob" } }));
+    try {
+        await client.get();
+        assertEquals(calls.length, 0, "First get() uses the hydrated state");
+        assertEquals(client.isDirty, false, "Hydrated state counts as synced");
+        await client.get();
+        assertEquals(client.name, "Bob", "Later get() calls fetch");
+
+        // ...or hydrates one that already exists
+        Model.hydrate({ hydrateAccount: { name: "Cy" } });
+        assertEquals(client.name, "Cy", "Existing model updated");
+    } finally {
+        restore();
+    }
+});
+
+domTest("renderToString renders bindings into markup the client can bind", () => {
+    class Shop extends Model {
+        title = "Deals";
+        query = "shoes";
+        open = false;
+        items = [{ id: 1, name: "Boots" }, { id: 2, name: "Clogs" }];
+    }
+
+    new Shop("ssrShop", false);
+    const html = Model.renderToString(`
+        <h1 data-bind="ssrShop.title"></h1>
+        <input data-model="ssrShop.query">
+        <p data-if="ssrShop.open">Open</p>
+        <ul data-each="item in ssrShop.items" data-key="id"><template><li data-bind="item.name"></li></template></ul>
+    `);
+
+    assert(html.includes(`<h1 data-bind="ssrShop.title">Deals</h1>`), "Text rendered");
+    assert(html.includes(`value="shoes"`), "Field value written to the markup");
+    assert(/<p[^>]*hidden/.test(html), "Hidden data-if element kept in place");
+    assertEquals((html.match(/data-ssr-row/g) || []).length, 2, "List rows rendered and marked");
+
+    // The client replaces the server rows with its own
+    const root = document.createElement("div");
+    root.innerHTML = html;
+    document.body.appendChild(root);
+    try {
+        Model.mount(root);
+        assertEquals(root.querySelectorAll("li").length, 2, "No duplicate rows after binding");
+        assertEquals(root.querySelector("li").textContent, "Boots", "Client rows rendered");
+        assertEquals(root.querySelector("p"), null, "data-if takes over the hidden element");
+    } finally {
+        Model.unmount(root);
+        root.remove();
+    }
+});
+
+test("Lifecycle hooks run and dispose() unregisters the model", async () => {
+    const calls = [];
+    class Draft extends Model {
+        text = "";
+
+        onCreate() {
+            calls.push(["create", this.text]);
+        }
+
+        onRestore(data) {
+            calls.push(["restore", data.text]);
+        }
+
+        onChange(path, value, oldValue) {
+            calls.push(["change", path, value, oldValue]);
+        }
+
+        onDispose() {
+            calls.push(["dispose"]);
+        }
+    }
+
+    try {
+        const first = new Draft("lifecycleDraft");
+        await first.$ready;
+        assertEquals(JSON.stringify(calls), JSON.stringify([["create", ""]]), "onCreate sees the fields");
+
+        first.text = "Hello";
+        assertEquals(JSON.stringify(calls[1]), JSON.stringify(["change", "text", "Hello", ""]), "onChange gets the path and values");
+        const watched = [];
+        first.on("text", (value) => watched.push(value));
+        Model.flush();
+
+        assertEquals(Model.unregister("lifecycleDraft"), true, "unregister() finds the model");
+        assertEquals(calls[2][0], "dispose", "onDispose called");
+        assertEquals(Model.unregister("lifecycleDraft"), false, "Name is free again");
+        first.text = "Ignored";
+        assertEquals(watched.length, 0, "Subscribers dropped");
+
+        // The stored state outlives dispose() unless it is cleared
+        calls.length = 0;
+        const second = new Draft("lifecycleDraft");
+        await second.$ready;
+        assertEquals(second.text, "Hello", "Pending changes were persisted");
+        assertEquals(JSON.stringify(calls), JSON.stringify([["create", "Hello"], ["restore", "Hello"]]), "onRestore gets the snapshot");
+
+        second.dispose({ clearStorage: true });
+        assertEquals(sessionStorage.getItem("model:lifecycleDraft"), null, "clearStorage removes the snapshot");
+    } finally {
+        sessionStorage.clear();
+    }
+});
+
+test("Duplicate names warn or throw", () => {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    Model.logLevel = "warn";
+    try {
+        const first = new Model("duplicateName", false);
+        const second = new Model("duplicateName", false);
+        assertEquals(warnings.length, 1, "Duplicate name warns");
+        assert(modelRegistry.get("duplicateName") === second, "The new model is registered");
+
+        Model.duplicateNames = "error";
+        let error = null;
+        try {
+            new Model("duplicateName", false);
+        } catch (e) {
+            error = e;
+        }
+        assert(error && error.message.includes("duplicateName"), "Duplicate name throws");
+
+        // Scoped models don't collide with each other or with the unscoped one
+        new Model("duplicateName", { scope: "left", storage: false });
+        new Model("duplicateName", { scope: "right", storage: false });
+        assert(modelRegistry.has("left/duplicateName"), "Registered under its scope");
+        assertEquals(Model.unregisterScope("left"), 1, "unregisterScope() disposes the scope's models");
+        assert(!first.__lifecycle.disposed, "Replaced model is left alone");
+    } finally {
+        Model.duplicateNames = "warn";
+        Model.logLevel = "silent";
+        console.warn = warn;
+        Model.unregister("duplicateName");
+        Model.unregisterScope("right");
+    }
+});
+
+domTest("Scoped models bind the markup inside their data-scope", async () => {
+    class Profile extends Model {
+        name = "";
+    }
+
+    const root = document.createElement("div");
+    root.innerHTML = `
+        <span id="global" data-bind="scopeProfile.name"></span>
+        <section data-scope="left"><input data-model="scopeProfile.name"><span data-bind="scopeProfile.name"></span></section>
+        <section data-scope="right"><span data-bind="scopeProfile.name"></span></section>
+    `;
+    document.body.appendChild(root);
+
+    try {
+        const global = new Profile("scopeProfile", false);
+        const left = new Profile("scopeProfile", { scope: "left", storage: false });
+        global.name = "Global";
+        left.name = "Left";
+        Model.flush();
+
+        const [leftSection, rightSection] = root.querySelectorAll("section");
+        assertEquals(root.querySelector("#global").textContent, "Global", "Unscoped markup uses the unscoped model");
+        assertEquals(leftSection.querySelector("span").textContent, "Left", "Scoped markup uses the scoped model");
+        assertEquals(rightSection.querySelector("span").textContent, "Global", "Scopes without their own model fall back");
+
+        const input = leftSection.querySelector("input");
+        input.value = "Typed";
+        input.dispatchEvent(new Event("input"));
+        assertEquals(left.name, "Typed", "Scoped field writes to the scoped model");
+        assertEquals(global.name, "Global", "Unscoped model untouched");
+
+        // Disposed models let go of their elements
+        left.dispose();
+        input.value = "After";
+        input.dispatchEvent(new Event("input"));
+        assertEquals(left.name, "Typed", "Field detached from the disposed model");
+    } finally {
+        root.remove();
+        Model.unregister("scopeProfile");
+    }
+});
+
+test("Schemas coerce values and reject the ones that don't fit", async () => {
+    class Address extends Model {
+        static schema = { city: { type: "string", default: "" }, zip: "integer" };
+    }
+    class Member extends Model {
+        static schema = {
+            name: "string",
+            age: { type: "integer", nullable: true },
+            role: { type: "string", enum: ["viewer", "admin"] },
+            tags: ["string"],
+            joined: { type: "date", nullable: true },
+            address: Address,
+            plan: { type: "string", default: "free" },
+        };
+
+        name = "";
+        age = null;
+        role = "viewer";
+        tags = [];
+        joined = null;
+        address = { city: "", zip: 0 };
+        endpoint = "/api/member";
+    }
+
+    // Stored by an older version of the app
+    sessionStorage.setItem("model:schemaMember", Model.serialize({ __version: 1, age: "41", role: "owner" }));
+    const warn = console.warn;
+    console.warn = () => {};
+    const { restore } = mockFetch(() => ({ body: { name: 7, joined: "2024-05-01", age: "old" } }));
+
+    try {
+        const member = new Member("schemaMember");
+        assertEquals(member.age, 41, "Restored strings converted");
+        assertEquals(member.role, "viewer", "Restored value outside the enum dropped");
+        assertEquals(member.$errors.role, "Must be one of viewer, admin", "Dropped value reported");
+        assertEquals(member.plan, "free", "Schema-only field gets its default");
+
+        member.tags = [1, "b"];
+        assertEquals(JSON.stringify(member.tags), JSON.stringify(["1", "b"]), "List items converted");
+        member.address.zip = "12345";
+        assertEquals(member.address.zip, 12345, "Nested model type fields converted");
+        member.role = undefined;
+        assertEquals(member.role, "viewer", "undefined falls back to the default");
+
+        let error = null;
+        try {
+            member.age = "forty";
+        } catch (e) {
+            error = e;
+        }
+        assertEquals(error && error.name, "SchemaError", "Code assigning a bad value throws");
+        assertEquals(error.path, "age", "Error names the field");
+        assertEquals(member.age, 41, "Bad value not assigned");
+
+        member.role = "admin";
+        assert(!("role" in member.$errors), "Valid value clears the error");
+
+        await member.get();
+        assertEquals(member.name, "7", "Response values converted");
+        assert(member.joined instanceof Date, "Date strings become Dates");
+        assertEquals(member.age, 41, "Bad response value ignored");
+        assertEquals(member.$errors.age, "Must be a whole number", "Bad response value reported");
+
+        const types = Model.generateTypes(Member);
+        assert(types.includes("export declare class Member extends Model {}"), "Class declared");
+        assert(types.includes(`role: "viewer" | "admin";`), "Enums become unions");
+        assert(types.includes("age: number | null;"), "Nullable fields");
+        assert(types.includes("address: AddressFields;"), "Nested model types referenced");
+        assert(types.includes("export interface AddressFields {"), "Nested model types declared");
+    } finally {
+        console.warn = warn;
+        restore();
+        Model.unregister("schemaMember", { clearStorage: true });
+    }
+});
+
+domTest("Inputs the schema can't take are reported, not assigned", () => {
+    class Order extends Model {
+        static schema = { quantity: "integer" };
+        quantity = 1;
+    }
+
+    const order = new Order("schemaOrder", false);
+    const root = document.createElement("div");
+    root.innerHTML = `<input data-model="schemaOrder.quantity"><span data-bind="schemaOrder.$errors.quantity"></span>`;
+    document.body.appendChild(root);
+    const warn = console.warn;
+    console.warn = () => {};
+
+    try {
+        Model.mount(root);
+        const input = root.querySelector("input");
+        input.value = "2.5";
+        input.dispatchEvent(new Event("input"));
+        Model.flush();
+        assertEquals(order.quantity, 1, "Model keeps its value");
+        assertEquals(root.querySelector("span").textContent, "Must be a whole number", "Error rendered");
+
+        input.value = "3";
+        input.dispatchEvent(new Event("input"));
+        Model.flush();
+        assertEquals(order.quantity, 3, "Valid input assigned");
+        assertEquals(order.$valid, true, "Error cleared");
+    } finally {
+        console.warn = warn;
+        Model.unmount(root);
+        root.remove();
+        Model.unregister("schemaOrder");
+    }
+});
+
+test("Plugins hook into set, persist and requests per class", async () => {
+    const log = [];
+    class Audited extends Model {}
+    class Invoice extends Audited {
+        number = "";
+        total = 0;
+        locked = false;
+        secret = "";
+        endpoint = "/api/invoice";
+    }
+    class Other extends Model {
+        number = "";
+    }
+
+    Audited.use({
+        name: "audit",
+        afterSet: ({ path, value, oldValue }) => log.push(`${path}: ${oldValue} -> ${value}`),
+    });
+    Invoice.use(() => ({
+        name: "invoice",
+        beforeSet(context) {
+            if (context.model.locked && context.path !== "locked") return false;
+            if (context.path === "number") context.value = context.value.toUpperCase();
+        },
+        beforePersist({ data }) {
+            delete data.secret;
+        },
+        beforeRequest({ init }) {
+            init.headers["X-Tenant"] = "acme";
+        },
+        afterResponse(response) {
+            response.data = response.data.invoice;
+        },
+    }));
+
+    const { calls, restore } = mockFetch(() => ({ body: { invoice: { total: 99 } } }));
+    try {
+        const invoice = new Invoice("pluginInvoice");
+        invoice.number = "inv-1";
+        invoice.secret = "hunter2";
+        Model.flush();
+        assertEquals(invoice.number, "INV-1", "beforeSet transforms");
+        assert(!sessionStorage.getItem("model:pluginInvoice").includes("hunter2"), "beforePersist adjusts the snapshot");
+        assertEquals(log[0], "number:  -> INV-1", "Parent class plugin sees the change");
+
+        invoice.locked = true;
+        invoice.total = 5;
+        assertEquals(invoice.total, 0, "beforeSet vetoes");
+
+        invoice.locked = false;
+        await invoice.get();
+        assertEquals(calls[0].headers["X-Tenant"], "acme", "beforeRequest adds headers");
+        assertEquals(invoice.total, 99, "afterResponse reshapes the body");
+
+        const other = new Other("pluginOther", false);
+        other.number = "x";
+        assertEquals(other.number, "x", "Other classes are unaffected");
+    } finally {
+        restore();
+        Model.unregister("pluginInvoice", { clearStorage: true });
+        Model.unregister("pluginOther");
+    }
+});
+
+domTest("Plugins add binding directives", () => {
+    class Tip extends Model {
+        text = "Hello";
+    }
+    Tip.use({
+        directives: {
+            tooltip: {
+                attribute: "data-bind-tooltip",
+                update(element, value) {
+                    element.title = value;
+                },
+            },
+        },
+    });
+
+    const tip = new Tip("pluginTip", false);
+    const root = document.createElement("div");
+    root.innerHTML = `<button data-bind-tooltip="pluginTip.text"></button>`;
+    document.body.appendChild(root);
+    try {
+        Model.mount(root);
+        const button = root.querySelector("button");
+        assertEquals(button.title, "Hello", "Custom directive rendered");
+        tip.text = "Bye";
+        Model.flush();
+        assertEquals(button.title, "Bye", "Custom directive updated");
+    } finally {
+        Model.unmount(root);
+        root.remove();
+        Model.unregister("pluginTip");
+    }
+});
+
+test("Logging is silent unless a level is set", () => {
+    const printed = [];
+    const original = { info: console.info, debug: console.debug };
+    console.info = (message) => printed.push(["info", message]);
+    console.debug = (message) => printed.push(["debug", message]);
+
+    try {
+        const quiet = new Model("logQuiet", false);
+        quiet.value = 1;
+        Model.flush();
+        assertEquals(printed.length, 0, "Nothing printed by default");
+
+        Model.logLevel = "info";
+        Model.unregister("logQuiet");
+        assert(printed.some(([level, message]) => level === "info" && message.includes("Disposing")), "info messages printed");
+        assert(!printed.some(([level]) => level === "debug"), "debug messages held back");
+    } finally {
+        Model.logLevel = "silent";
+        Object.assign(console, original);
+    }
+});
+
+test("Model.inspect() describes registered models", () => {
+    class Basket extends Model {
+        count = 2;
+    }
+
+    const basket = new Basket("inspectBasket");
+    basket.on("count", () => {});
+    try {
+        const [entry] = Model.inspect("inspectBasket");
+        assertEquals(entry.className, "Basket", "Class reported");
+        assertEquals(entry.state.count, 2, "State reported");
+        assertEquals(entry.status.$valid, true, "Status reported");
+        assertEquals(entry.subscribers, 1, "Subscribers counted");
+        assertEquals(entry.storageKey, "model:inspectBasket", "Storage key reported");
+        assert(Model.inspect().some(({ name }) => name === "inspectBasket"), "Listed with all models");
+    } finally {
+        Model.unregister("inspectBasket", { clearStorage: true });
+    }
+});
+
+test("The timeline records changes with their source and replays them", async () => {
+    class Ticket extends Model {
+        title = "";
+        status = "open";
+        endpoint = "/api/ticket";
+    }
+
+    const { restore } = mockFetch(() => ({ body: { status: "closed" } }));
+    const stop = Model.recordTimeline();
+    try {
+        const ticket = new Ticket("timelineTicket", false);
+        ticket.title = "Printer on fire";
+        await ticket.get();
+        stop();
+        ticket.title = "Not recorded";
+
+        const entries = Model.timeline();
+        assertEquals(entries.length, 2, "Changes recorded until stopped");
+        assertEquals(entries[0].source, "code", "Assignments come from code");
+        assertEquals(entries[0].oldValue, "", "Old value recorded");
+        assertEquals(entries[1].path, "status", "Path recorded");
+        assertEquals(entries[1].source, "http", "Response changes come from http");
+
+        // Replayed on a fresh model
+        const exported = Model.exportTimeline();
+        Model.unregister("timelineTicket");
+        const copy = new Ticket("timelineTicket", false);
+        assertEquals(Model.replayTimeline(exported), 2, "Every entry replayed");
+        assertEquals(copy.title, "Printer on fire", "Replayed title");
+        assertEquals(copy.status, "closed", "Replayed status");
+    } finally {
+        stop();
+        restore();
+        Model.unregister("timelineTicket");
+    }
+});
+
+// Run tests if this file is executed
+if (typeof module !== "undefined" && module.exports) {
+    // Node.js environment
+    module.exports = { runTests };
+
+    // node test.js: test the library itself. DOM tests run against jsdom (a devDependency);
+    // without it they are skipped and sessionStorage is kept in memory
+    if (require.main === module) {
+        if (typeof document === "undefined") {
+            try {
+                const { JSDOM } = require("jsdom");
+                const { window } = new JSDOM("<!DOCTYPE html><body></body>", { url: "http://localhost/" });
+                const globals = [
+                    "window", "document", "sessionStorage", "localStorage", "Node", "HTMLElement",
+                    "Event", "CustomEvent", "MouseEvent", "KeyboardEvent", "MutationObserver", "ShadowRoot", "FileList",
+                ];
+                // Node's BroadcastChannel messages extend the global Event; load them before it is replaced
+                void globalThis.MessageEvent;
+                for (const name of globals) {
+                    globalThis[name] = window[name];
+                }
+            } catch (error) {
+                // Not installed, or this Node version is too old for it
+            }
+        }
+        if (typeof sessionStorage === "undefined") {
+            const items = new Map();
+            globalThis.sessionStorage = {
+                getItem: (key) => (items.has(key) ? items.get(key) : null),
+                setItem: (key, value) => items.set(key, String(value)),
+                removeItem: (key) => items.delete(key),
+                clear: () => items.clear(),
+            };
+        }
+        Object.assign(globalThis, require("./index.js"));
+
+        runTests().then((passed) => {
+            process.exitCode = passed ? 0 : 1;
+        });
+    }
 } else {
     // Browser environment
     window.addEventListener("load", () => {